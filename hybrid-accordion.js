@@ -3,10 +3,21 @@
 
     // Global registry for all accordion instances
     const accordionRegistry = [];
+
+    // Open order across every accordion, so grouped containers can compare their items
+    let openSequence = 0;
     
     // Hash navigation scheduling
     let hashNavigationScheduled = false;
 
+    // Deep links list the open items of every deep-linked accordion: #acc=a,b
+    const DEEP_LINK_PREFIX = 'acc=';
+    let deepLinkUpdateScheduled = false;
+    let applyingUrlState = false;
+
+    // Prefix for lifecycle CustomEvents dispatched on accordion items
+    const EVENT_PREFIX = 'acc:';
+
     // Utility functions for new schema parsing
     function parseTimeValue(value) {
         if (typeof value === 'number') {
@@ -66,7 +77,15 @@
         animation: {
             duration: 0.4,
             ease: 'power2.inOut',
-            respectMotionPreference: true
+            openDuration: null,   // Seconds; falls back to duration
+            closeDuration: null,
+            openEase: null,       // Falls back to ease
+            closeEase: null,
+            preset: 'height',     // 'height', 'fade-slide' or 'stagger'
+            iconRotation: 0,      // Degrees the icon turns when open; 0 leaves it to CSS
+            buildTimeline: null,  // GSAP only: (item, timeline) => add tweens to the open timeline
+            respectMotionPreference: true,
+            engine: 'auto'  // 'auto', 'gsap', 'waapi', 'css' or a (item) => animator factory
         },
         interactions: {
             singleOpen: true,
@@ -74,591 +93,3389 @@
             openFirstItem: false,
             openOnHover: false,
             closeOnSecondClick: true,
-            closeNestedOnParentClose: false
+            closeNestedOnParentClose: false,
+            findInPage: false,
+            keyboardNavigation: false,
+            keyboardWrap: false,
+            minOpen: 0,      // Items that must stay open; the last ones can't be closed
+            maxOpen: null,   // Opening more closes the least recently opened item
+            reorderable: false,  // Drag handles and Alt+Up/Down move items within their container
+            group: null,  // Containers sharing a group name act as one for singleOpen, minOpen, maxOpen and closeAll
+            sync: null    // Containers sharing a sync name open and close items with the same data-acc-key together
         },
 
         schema: {
-            enabled: false
+            enabled: false,
+            format: 'microdata',  // 'microdata' or 'jsonld'
+            merge: false          // JSON-LD only: one FAQPage block for the whole page
+        },
+        hover: {
+            openDelay: 0.1,            // Seconds the pointer must rest on a header before it opens
+            closeDelay: 0.3,           // Grace period before closeOnLeave closes the item
+            velocityThreshold: 0.3,    // Pointer speed (px/ms) above which opening waits
+            closeOnLeave: false,       // Close when the pointer or focus leaves the whole item
+            focus: true,               // Keyboard focus on a header behaves like hover
+            ignoreCoarsePointers: true // Ignore touch and pen "hover"
         },
         scrollToView: {
             enabled: false,
-            delay: 0.1  // Additional delay after animation completion (seconds)
-        }
+            delay: 0.1,         // Additional delay after animation completion (seconds)
+            offset: 0,          // Pixels, a selector for a sticky header, or (item) => pixels
+            block: 'start',     // 'start', 'center', 'end' or 'nearest'
+            behavior: 'smooth', // 'smooth' or 'auto'; reduced motion always jumps
+            onlyIfNeeded: false, // Skip items already fully in view
+            container: null     // Scrolling element or selector; null finds the nearest scrollable ancestor
+        },
+        print: {
+            expandAll: false  // Open every item while printing, then restore the previous state
+        },
+        accessibility: {
+            announce: false,    // Read out opens and closes the user didn't make directly
+            focusOnHash: true,  // Move focus to the target header after hash navigation
+            regionRole: false   // role="region" on panels; best kept for a handful of items
+        },
+        persist: false,  // 'local', 'session', 'url' or a { get(key), set(key, ids) } adapter
+        deepLink: false,  // true/'replace' or 'push': keep open items in the URL hash
+        loadContent: null,  // async (item) => HTML string or Node; defaults to fetching data-acc-src
+        lazyContent: {
+            loadingText: 'Loading…',
+            errorText: 'This content could not be loaded.',
+            retryText: 'Try again'
+        },
+        search: {
+            input: null,  // Selector or element of a search field bound to filter()
+            noResultsSelector: '[data-acc="no-results"]'
+        },
+        messages: {
+            // {placeholders} are filled in; a function receives the values instead
+            opened: '{title} expanded',
+            closed: '{title} collapsed',
+            reorderHandle: 'Drag to reorder',
+            reorderMoved: '{title} moved to position {position} of {total}'
+        },
+        template: {
+            header: null,  // (data) => HTML string or Node for render(); defaults to the title as text
+            icon: '+'      // Icon HTML, or (data) => HTML string or Node; null renders no icon
+        },
+        breakpoints: null,  // { '(min-width: 768px)': { disabled: true, singleOpen: false, ... } }
+        mode: 'accordion'   // 'accordion' or 'tabs'
     };
 
-    class AccordionItem {
-        constructor(element, accordion) {
-            this.element = element;
-            this.accordion = accordion;
-            this.header = element.querySelector(accordion.options.headerSelector);
-            this.body = element.querySelector(accordion.options.bodySelector);
-            this.icon = element.querySelector(accordion.options.iconSelector);
-            
-            // Parse item-specific attributes
-            this.parseAttributes();
-            
-            // Assume semantic HTML (<details>/<summary>)
-            this.setupAccessibility();
-            
-            // Set up animations (lazy timeline creation)
-            this.setupAnimations();
-            
-            // Bind events
-            this.bindEvents();
-            
-            // Set initial state
-            this.isOpen = false;
-            this.setInitialState();
-            
-            // Add schema markup if enabled
-            if (this.accordion.options.schema.enabled) {
-                this.setupSchema();
+    // Option overrides a breakpoint can apply, besides `disabled`
+    const breakpointOptionPaths = {
+        duration: ['animation', 'duration'],
+        ease: ['animation', 'ease'],
+        singleOpen: ['interactions', 'singleOpen'],
+        openOnHover: ['interactions', 'openOnHover'],
+        closeOnSecondClick: ['interactions', 'closeOnSecondClick'],
+        closeNestedOnParentClose: ['interactions', 'closeNestedOnParentClose']
+    };
+
+    // Sources that show or hide items regardless of minOpen/maxOpen
+    const openLimitExemptSources = ['breakpoint', 'filter', 'print'];
+
+    // Changes screen readers wouldn't otherwise hear about: the user acted on another item, or not at all
+    const announcedSources = ['singleOpen', 'maxOpen', 'nested', 'sync', 'hash', 'api'];
+
+    // Item attributes that override the container's options for that item
+    const itemOptionAttributes = {
+        'data-acc-duration': ['animation', 'duration'],
+        'data-acc-ease': ['animation', 'ease'],
+        'data-acc-open-duration': ['animation', 'openDuration'],
+        'data-acc-close-duration': ['animation', 'closeDuration'],
+        'data-acc-open-ease': ['animation', 'openEase'],
+        'data-acc-close-ease': ['animation', 'closeEase'],
+        'data-acc-scroll-into-view': ['scrollToView', 'enabled'],
+        'data-acc-open-on-hover': ['interactions', 'openOnHover']
+    };
+
+    // Default lazy content loader - fetches the item's data-acc-src as HTML
+    function fetchItemContent(item) {
+        if (!item.contentSrc) return null;
+        return fetch(item.contentSrc).then(response => {
+            if (!response.ok) {
+                throw new Error(`Failed to load ${item.contentSrc} (${response.status})`);
+            }
+            return response.text();
+        });
+    }
+
+    // Built-in adapters for persisting open item ids, keyed by container id
+    function createStorageAdapter(getStorage) {
+        return {
+            get(key) {
+                try {
+                    const value = getStorage().getItem(`hybrid-accordion:${key}`);
+                    return value ? JSON.parse(value) : null;
+                } catch (error) {
+                    return null;
+                }
+            },
+            set(key, ids) {
+                try {
+                    getStorage().setItem(`hybrid-accordion:${key}`, JSON.stringify(ids));
+                } catch (error) {
+                    // Storage unavailable (private mode, quota) - state just isn't kept
+                }
+            }
+        };
+    }
+
+    const persistAdapters = {
+        local: createStorageAdapter(() => window.localStorage),
+        session: createStorageAdapter(() => window.sessionStorage),
+        url: {
+            get(key) {
+                const value = new URLSearchParams(window.location.search).get(`acc-${key}`);
+                return value === null ? null : value.split(',').filter(Boolean);
+            },
+            set(key, ids) {
+                const url = new URL(window.location.href);
+                if (ids.length > 0) {
+                    url.searchParams.set(`acc-${key}`, ids.join(','));
+                } else {
+                    url.searchParams.delete(`acc-${key}`);
+                }
+                history.replaceState(history.state, '', url);
             }
         }
+    };
 
-        parseAttributes() {
-            this.startOpen = parseBooleanAttribute(this.element, 'data-acc-open');
+    // MediaQueryList listeners, with the legacy addListener API as fallback
+    function addMediaListener(mediaQuery, handler) {
+        if (mediaQuery.addEventListener) {
+            mediaQuery.addEventListener('change', handler);
+        } else {
+            mediaQuery.addListener(handler);
         }
+    }
 
-        setupAccessibility() {
-            // Require semantic HTML elements
-            this.isSemanticHTML = this.element.tagName.toLowerCase() === 'details' && 
-                                  this.header && this.header.tagName.toLowerCase() === 'summary';
-            if (!this.isSemanticHTML) {
-                console.error('HybridAccordion requires <details>/<summary> markup for each item.');
-            }
+    function removeMediaListener(mediaQuery, handler) {
+        if (mediaQuery.removeEventListener) {
+            mediaQuery.removeEventListener('change', handler);
+        } else {
+            mediaQuery.removeListener(handler);
         }
+    }
 
-        setupAnimations() {
-            // Defer GSAP timeline creation until first open
-            this.openTimeline = null;
+    // hidden="until-found" lets find-in-page reach collapsed content
+    function supportsHiddenUntilFound() {
+        return 'onbeforematch' in document.createElement('div');
+    }
+
+    // Search highlighting helpers
+    function highlightMatches(root, query, skipSelector) {
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+            acceptNode: (node) => {
+                const parent = node.parentElement;
+                if (!parent || parent.closest(`mark[data-acc-highlight], script, style, ${skipSelector}`)) {
+                    return NodeFilter.FILTER_REJECT;
+                }
+                return NodeFilter.FILTER_ACCEPT;
+            }
+        });
+
+        const textNodes = [];
+        while (walker.nextNode()) {
+            textNodes.push(walker.currentNode);
         }
 
-        createTimelineIfNeeded() {
-            if (this.openTimeline) return;
-            if (this.accordion.prefersReducedMotion && this.accordion.options.animation.respectMotionPreference) return;
+        textNodes.forEach(node => {
+            const text = node.nodeValue;
+            const lowerText = text.toLowerCase();
+            let index = lowerText.indexOf(query);
+            if (index === -1) return;
+
+            const fragment = document.createDocumentFragment();
+            let lastIndex = 0;
+            while (index !== -1) {
+                fragment.appendChild(document.createTextNode(text.slice(lastIndex, index)));
+                const mark = document.createElement('mark');
+                mark.setAttribute('data-acc-highlight', '');
+                mark.textContent = text.slice(index, index + query.length);
+                fragment.appendChild(mark);
+                lastIndex = index + query.length;
+                index = lowerText.indexOf(query, lastIndex);
+            }
+            fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+            node.parentNode.replaceChild(fragment, node);
+        });
+    }
 
-            const { duration, ease } = this.accordion.options.animation;
+    function clearHighlights(root) {
+        root.querySelectorAll('mark[data-acc-highlight]').forEach(mark => {
+            const parent = mark.parentNode;
+            parent.replaceChild(document.createTextNode(mark.textContent), mark);
+            parent.normalize();
+        });
+    }
 
-            this.openTimeline = gsap.timeline({
-                paused: true,
-                onComplete: () => {
-                    this.body.style.height = 'auto';
-                    this.refreshScrollTrigger();
-                },
-                onReverseComplete: () => {
-                    if (this.isSemanticHTML) {
-                        this.element.removeAttribute('open');
-                    }
-                    this.refreshScrollTrigger();
+    // JSON-LD FAQPage generation
+    const SCHEMA_ALLOWED_TAGS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'br', 'ol', 'ul', 'li', 'a', 'p', 'div', 'b', 'strong', 'i', 'em'];
+    let mergedSchemaScheduled = false;
+
+    function sanitizeSchemaNode(node) {
+        Array.from(node.children).forEach(child => {
+            sanitizeSchemaNode(child);
+            const tagName = child.tagName.toLowerCase();
+
+            if (!SCHEMA_ALLOWED_TAGS.includes(tagName)) {
+                // Keep the text, drop the element
+                child.replaceWith(...child.childNodes);
+                return;
+            }
+
+            Array.from(child.attributes).forEach(attr => {
+                if (!(tagName === 'a' && attr.name === 'href')) {
+                    child.removeAttribute(attr.name);
                 }
             });
+        });
+    }
 
-            this.openTimeline.fromTo(
-                this.body,
-                { height: 0, overflow: 'hidden' },
-                { height: 'auto', duration, ease }
-            );
+    // Controls that live inside a header but aren't part of its text
+    const HEADER_CONTROL_SELECTOR = '[data-acc="copy-link"], [data-acc="drag-handle"]';
+
+    // Header text without the icon and other controls
+    function getHeaderText(header, options) {
+        const headerClone = header.cloneNode(true);
+        headerClone.querySelectorAll(`${options.iconSelector}, ${HEADER_CONTROL_SELECTOR}`).forEach(control => control.remove());
+        return headerClone.textContent.replace(/\s+/g, ' ').trim();
+    }
+
+    function buildSchemaQuestion(itemElement, options) {
+        const header = itemElement.querySelector(options.headerSelector);
+        const panel = itemElement.querySelector(options.bodySelector);
+        if (!header || !panel) return null;
+
+        const name = getHeaderText(header, options);
+
+        // Nested accordions are listed as questions of their own
+        const panelClone = panel.cloneNode(true);
+        panelClone.querySelectorAll(`${options.containerSelector}, [data-acc-status], script, style, template`)
+            .forEach(element => element.remove());
+        sanitizeSchemaNode(panelClone);
+        const text = panelClone.innerHTML.replace(/\s+/g, ' ').trim();
+
+        if (!name || !text) return null;
+        return {
+            '@type': 'Question',
+            name,
+            acceptedAnswer: {
+                '@type': 'Answer',
+                text
+            }
+        };
+    }
+
+    function buildSchemaQuestions(root, options) {
+        return Array.from(root.querySelectorAll(options.itemSelector))
+            .filter(itemElement => itemElement.getAttribute('data-acc-schema') !== 'false')
+            .map(itemElement => buildSchemaQuestion(itemElement, options))
+            .filter(Boolean);
+    }
+
+    function createFAQPage(questions) {
+        return {
+            '@context': 'https://schema.org',
+            '@type': 'FAQPage',
+            mainEntity: questions
+        };
+    }
+
+    function writeSchemaScript(script, data) {
+        // Escape "<" so answer HTML can't close the script element
+        script.textContent = JSON.stringify(data).replace(/</g, '\\u003c');
+    }
+
+    function createSchemaScript() {
+        const script = document.createElement('script');
+        script.type = 'application/ld+json';
+        script.setAttribute('data-acc-schema-script', '');
+        return script;
+    }
+
+    function scheduleMergedSchemaUpdate() {
+        if (mergedSchemaScheduled) return;
+        mergedSchemaScheduled = true;
+        setTimeout(() => {
+            mergedSchemaScheduled = false;
+            updateMergedSchema();
+        }, 0);
+    }
+
+    function updateMergedSchema() {
+        const accordions = accordionRegistry.filter(accordion =>
+            accordion.getSchemaFormat() === 'jsonld' && accordion.options.schema.merge && !accordion.hasSchemaAncestor());
+        let script = document.getElementById('hybrid-accordion-schema');
+
+        if (accordions.length === 0) {
+            if (script) script.remove();
+            return;
+        }
+
+        if (!script) {
+            script = createSchemaScript();
+            script.id = 'hybrid-accordion-schema';
+            document.head.appendChild(script);
+        }
+        const questions = accordions.reduce((all, accordion) =>
+            all.concat(buildSchemaQuestions(accordion.element, accordion.options)), []);
+        writeSchemaScript(script, createFAQPage(questions));
+    }
+
+    // GSAP ease names mapped to CSS timing functions for the non-GSAP engines
+    const cssEasings = {
+        'none': 'linear',
+        'power1.in': 'cubic-bezier(0.11, 0, 0.5, 0)',
+        'power1.out': 'cubic-bezier(0.5, 1, 0.89, 1)',
+        'power1.inOut': 'cubic-bezier(0.45, 0, 0.55, 1)',
+        'power2.in': 'cubic-bezier(0.32, 0, 0.67, 0)',
+        'power2.out': 'cubic-bezier(0.33, 1, 0.68, 1)',
+        'power2.inOut': 'cubic-bezier(0.65, 0, 0.35, 1)',
+        'power3.in': 'cubic-bezier(0.5, 0, 0.75, 0)',
+        'power3.out': 'cubic-bezier(0.25, 1, 0.5, 1)',
+        'power3.inOut': 'cubic-bezier(0.76, 0, 0.24, 1)',
+        'power4.in': 'cubic-bezier(0.64, 0, 0.78, 0)',
+        'power4.out': 'cubic-bezier(0.22, 1, 0.36, 1)',
+        'power4.inOut': 'cubic-bezier(0.83, 0, 0.17, 1)'
+    };
+    const cssEasingKeywords = ['linear', 'ease', 'ease-in', 'ease-out', 'ease-in-out', 'step-start', 'step-end'];
+
+    function toCssEasing(ease) {
+        if (cssEasings[ease]) return cssEasings[ease];
+        if (typeof ease === 'string' && (cssEasingKeywords.includes(ease) || ease.includes('('))) {
+            return ease;
         }
+        return 'ease';
+    }
 
+    function setPanelHeight(body, isOpen) {
+        body.style.height = isOpen ? 'auto' : '0';
+        if (!isOpen) body.style.overflow = 'hidden';
+    }
 
+    function supportsInterpolateSize() {
+        return typeof CSS !== 'undefined' && typeof CSS.supports === 'function' &&
+            CSS.supports('interpolate-size', 'allow-keywords');
+    }
 
-        bindEvents() {
-            // Handle semantic <details>/<summary> elements only
-            this.header.addEventListener('click', (event) => {
-                if (this.element.hasAttribute('open')) {
-                    if (!this.accordion.options.interactions.closeOnSecondClick) {
-                        event.preventDefault();
-                        return;
-                    }
-                    event.preventDefault();
-                    this.close();
-                }
+    // Open/close timing, falling back to the shared duration and ease
+    function resolveTiming(animation, isOpen) {
+        const duration = isOpen ? animation.openDuration : animation.closeDuration;
+        const ease = isOpen ? animation.openEase : animation.closeEase;
+        return {
+            duration: typeof duration === 'number' ? duration : animation.duration,
+            ease: ease || animation.ease
+        };
+    }
+
+    // Elements animated alongside the panel height. `start` and `length` are fractions of the
+    // duration; closing plays the tracks in reverse.
+    function getAnimationTracks(item) {
+        const { preset, iconRotation } = item.getOptions('animation');
+        const tracks = [];
+
+        if (preset === 'fade-slide' || preset === 'stagger') {
+            const content = Array.from((item.schemaTextWrapper || item.body).children)
+                .filter(child => child !== item.statusElement);
+            const staggered = preset === 'stagger' && content.length > 1;
+            const step = staggered ? 0.5 / (content.length - 1) : 0;
+
+            content.forEach((element, index) => {
+                tracks.push({
+                    element,
+                    closed: { opacity: 0, y: staggered ? 12 : -12 },
+                    open: { opacity: 1, y: 0 },
+                    start: index * step,
+                    length: staggered ? 0.5 : 1
+                });
             });
+        }
 
-            // Handle toggle event for both opening and closing
-            this.element.addEventListener('toggle', () => {
-                if (this.element.open) {
-                    // Element was opened via native browser behavior
-                    if (!this.isOpen) {
-                        // Handle single open mode
-                        if (this.accordion.options.interactions.singleOpen) {
-                            this.accordion.closeAllExcept(this);
-                        }
-                        
-                        this.isOpen = true;
-                        this.addActiveClasses();
-                    }
-                    this.handleOpen();
-                } else {
-                    // Element was closed via native browser behavior
-                    if (this.isOpen) {
-                        this.isOpen = false;
-                        this.removeActiveClasses();
-                    }
-                }
+        if (iconRotation && item.icon) {
+            tracks.push({
+                element: item.icon,
+                closed: { rotation: 0 },
+                open: { rotation: iconRotation },
+                start: 0,
+                length: 1
             });
+        }
 
-            // Add hover support if enabled
-            if (this.accordion.options.interactions.openOnHover) {
-                this.header.addEventListener('mouseenter', () => {
-                    if (!this.isOpen) {
-                        this.open();
-                    }
-                });
+        return tracks;
+    }
+
+    // Track states use GSAP property names; the other engines write them as CSS
+    function toCssState(state) {
+        const css = {};
+        if ('opacity' in state) css.opacity = String(state.opacity);
+        if ('y' in state) css.transform = `translateY(${state.y}px)`;
+        if ('rotation' in state) css.transform = `rotate(${state.rotation}deg)`;
+        return css;
+    }
+
+    function clearTrackStyles(tracks) {
+        tracks.forEach(({ element }) => {
+            // GSAP also writes the individual transform properties
+            ['opacity', 'transform', 'translate', 'rotate', 'scale', 'transition']
+                .forEach(property => element.style.removeProperty(property));
+            if (!element.getAttribute('style')) {
+                element.removeAttribute('style');
             }
+        });
+    }
+
+    // Animation engines move an item's panel between closed and open. Each item gets its own
+    // instance implementing:
+    //   animate(isOpen, { from, onComplete }) - animate from the current height (or `from`);
+    //                                           a new call interrupts the running one
+    //   jump(isOpen)   - stop and snap to the final state
+    //   isAnimating()
+    //   reset()        - drop cached measurements once at rest (options or content changed)
+    //   retarget()     - optional: the content changed size mid-animation, follow it
+    //   cancel()       - stop without completing and remove the engine's inline styles
+    // onComplete only runs for animations that were not interrupted.
+    class GsapAnimator {
+        constructor(item) {
+            this.item = item;
+            this.timeline = null;
+            this.driver = null;
+            this.onComplete = null;
         }
 
-        setInitialState() {
-            if (this.startOpen) {
-                this.isOpen = true;
-                this.addActiveClasses();
-                
-                // Set open attribute for semantic elements
-                if (this.isSemanticHTML) {
-                    this.element.setAttribute('open', '');
-                }
-                
-                this.body.style.height = 'auto';
-            } else {
-                this.isOpen = false;
-                
-                // Remove open attribute for semantic elements
-                if (this.isSemanticHTML) {
-                    this.element.removeAttribute('open');
+        // Tweens run on a 0-1 scale; the driver tween supplies the real duration and ease
+        createTimeline(fromHeight = 0) {
+            const { buildTimeline } = this.item.getOptions('animation');
+
+            this.tracks = getAnimationTracks(this.item);
+            this.timeline = gsap.timeline({ paused: true });
+            this.heightTween = gsap.fromTo(
+                this.item.body,
+                { height: fromHeight, overflow: 'hidden' },
+                { height: 'auto', duration: 1, ease: 'none' }
+            );
+            this.timeline.add(this.heightTween, 0);
+            this.tracks.forEach(track => {
+                this.timeline.fromTo(
+                    track.element,
+                    track.closed,
+                    { ...track.open, duration: track.length, ease: 'none' },
+                    track.start
+                );
+            });
+
+            if (typeof buildTimeline === 'function') {
+                buildTimeline(this.item, this.timeline);
+                // The whole timeline is played over the configured duration, so anything past 1
+                // squeezes the height tween into part of it
+                if (this.timeline.duration() > 1 && !this.item.warnedTimelineLength) {
+                    this.item.warnedTimelineLength = true;
+                    console.warn('HybridAccordion buildTimeline tweens should end by 1; the timeline is ' +
+                        `${this.timeline.duration()} long, so the panel height no longer follows the configured duration.`);
                 }
-                
-                gsap.set(this.body, { height: 0, overflow: 'hidden' });
             }
         }
 
-        toggle() {
-            if (this.isOpen) {
-                if (!this.accordion.options.interactions.closeOnSecondClick) return;
-                this.close();
-            } else {
-                this.open();
-            }
+        finish() {
+            const onComplete = this.onComplete;
+            this.onComplete = null;
+            if (onComplete) onComplete();
         }
 
-        open() {
-            // Handle single open mode
-            if (this.accordion.options.interactions.singleOpen) {
-                this.accordion.closeAllExcept(this);
+        animate(isOpen, { from = null, onComplete = null } = {}) {
+            const body = this.item.body;
+            const wasAnimating = this.isAnimating();
+            this.killDriver();
+            this.onComplete = onComplete;
+
+            if (isOpen && from !== null) {
+                // Content arrived while open: rebuild so new children are included
+                this.killTimeline();
+                this.createTimeline(from);
+                this.drive(true, () => {
+                    // Closing should shrink to 0, not to the loading height
+                    this.killTimeline();
+                });
+                return;
             }
 
-            this.isOpen = true;
-            this.addActiveClasses();
-            
-            // Set open attribute for semantic elements
-            if (this.isSemanticHTML) {
-                this.element.setAttribute('open', '');
+            if (!this.timeline) {
+                this.createTimeline();
+                // Panels opened without a timeline (initial state, lazy content) close from fully open
+                if (!isOpen) this.timeline.progress(1, true);
             }
-            this.handleOpen();
+
+            const target = isOpen ? 1 : 0;
+            if (this.timeline.progress() === target) {
+                this.jump(isOpen);
+                if (onComplete) onComplete();
+                return;
+            }
+
+            // Re-measure only when at rest; invalidating mid-flight jumps the panel
+            if (!wasAnimating) {
+                // Content may have changed size since the timeline was recorded
+                if (!isOpen && body.style.height === 'auto') {
+                    gsap.set(body, { height: body.scrollHeight });
+                }
+                this.timeline.invalidate();
+            }
+
+            this.drive(isOpen);
         }
 
-        handleOpen() {
-            
-            if (this.accordion.prefersReducedMotion && this.accordion.options.animation.respectMotionPreference) {
-                // No animation for reduced motion
-                this.body.style.height = 'auto';
-            } else {
-                // Animate opening with GSAP
-                this.createTimelineIfNeeded();
-                if (this.openTimeline) {
-                    this.openTimeline.invalidate();
-                    this.openTimeline.play();
-                } else {
-                    this.body.style.height = 'auto';
+        drive(isOpen, onDone = null) {
+            const target = isOpen ? 1 : 0;
+            const { duration, ease } = this.item.getAnimationTiming(isOpen);
+            // Interrupted animations only cover the remaining distance
+            const remaining = Math.abs(target - this.timeline.progress());
+
+            this.driver = gsap.to(this.timeline, {
+                progress: target,
+                duration: duration * remaining,
+                ease,
+                onComplete: () => {
+                    this.driver = null;
+                    if (isOpen) this.item.body.style.height = 'auto';
+                    if (onDone) onDone();
+                    this.finish();
                 }
+            });
+        }
+
+        killDriver() {
+            if (this.driver) {
+                this.driver.kill();
+                this.driver = null;
             }
+        }
 
-            // Scroll to view if enabled - using anchor link approach
-            if (this.accordion.options.scrollToView.enabled && !this.accordion.isInitialLoad) {
-                // Use animation duration as delay to ensure animations complete before scrolling
-                const scrollDelay = this.getScrollDelay();
-                setTimeout(() => {
-                    this.scrollToAnchor();
-                }, scrollDelay);
+        killTimeline() {
+            if (this.timeline) {
+                this.timeline.kill();
+                this.timeline = null;
+                this.heightTween = null;
             }
         }
 
-        close() {
-            this.isOpen = false;
-            this.removeActiveClasses();
-            
-            // Close nested items if enabled
-            if (this.accordion.options.interactions.closeNestedOnParentClose) {
-                this.closeNestedItems();
+        retarget() {
+            // Only the height tween re-measures; hook tweens may have recorded mid-flight values
+            if (this.isAnimating() && this.heightTween) {
+                this.heightTween.invalidate();
             }
-            
-            if (this.accordion.prefersReducedMotion && this.accordion.options.animation.respectMotionPreference) {
-                // No animation for reduced motion
-                if (this.isSemanticHTML) {
-                    this.element.removeAttribute('open');
-                }
-                this.body.style.height = '0';
-                this.body.style.overflow = 'hidden';
+        }
+
+        jump(isOpen) {
+            this.onComplete = null;
+            this.killDriver();
+            if (this.timeline) {
+                this.timeline.progress(isOpen ? 1 : 0, true);
             } else {
-                // Animate closing with GSAP (if exists) or fallback instantly
-                if (this.openTimeline) {
-                    // Recalculate the current content height before closing
-                    const currentHeight = this.body.scrollHeight;
-                    
-                    // If the content height has changed since timeline creation, invalidate and recreate
-                    if (this.body.style.height === 'auto') {
-                        gsap.set(this.body, { height: currentHeight });
-                    }
-                    
-                    this.openTimeline.invalidate();
-                    this.openTimeline.reverse();
-                } else {
-                    if (this.isSemanticHTML) {
-                        this.element.removeAttribute('open');
-                    }
-                    this.body.style.height = '0';
-                    this.body.style.overflow = 'hidden';
-                }
+                getAnimationTracks(this.item).forEach(track => {
+                    gsap.set(track.element, isOpen ? track.open : track.closed);
+                });
             }
+            setPanelHeight(this.item.body, isOpen);
         }
 
-        getScrollDelay() {
-            // If reduced motion is preferred, just use the user-configured delay (convert to ms)
-            if (this.accordion.prefersReducedMotion && this.accordion.options.animation.respectMotionPreference) {
-                return (this.accordion.options.scrollToView.delay || 0) * 1000;
-            }
-            
-            // Animation duration (convert to ms) + user-configured post-animation delay (convert to ms)
-            const animationDurationMs = this.accordion.options.animation.duration * 1000;
-            const postAnimationDelayMs = (this.accordion.options.scrollToView.delay || 0) * 1000;
-            
-            return animationDurationMs + postAnimationDelayMs;
+        isAnimating() {
+            return Boolean(this.driver);
         }
 
-        scrollToAnchor() {
-            // Ensure the accordion item has an ID for anchor linking
-            if (!this.element.id) {
-                this.element.id = this.generateUniqueId();
+        reset() {
+            // Rebuilt on next use; running timelines finish first
+            if (!this.isAnimating()) {
+                this.killTimeline();
             }
-            
-            // Use browser-native anchor scrolling
-            window.location.hash = this.element.id;
         }
 
-        generateUniqueId() {
-            // If element already has an ID, validate it's unique and return it
-            if (this.element.id) {
-                const existingId = this.element.id;
-                // Check if the existing ID is actually unique in the document
-                const elementsWithSameId = document.querySelectorAll(`#${CSS.escape(existingId)}`);
-                if (elementsWithSameId.length === 1) {
-                    // ID is unique, use it
-                    return existingId;
-                }
-                // If not unique, we'll generate a new one based on the existing ID
-                let baseId = existingId;
-                let counter = 1;
-                let uniqueId = `${baseId}-${counter}`;
-                
-                while (document.getElementById(uniqueId)) {
-                    counter++;
-                    uniqueId = `${baseId}-${counter}`;
-                }
-                
-                return uniqueId;
-            }
+        cancel() {
+            this.onComplete = null;
+            this.killDriver();
+            this.killTimeline();
+            clearTrackStyles(getAnimationTracks(this.item));
+        }
+    }
 
-            // Generate ID from header text content if available
-            const headerText = this.header ? this.header.textContent.trim() : '';
-            let baseId = 'accordion-item';
-            
-            if (headerText) {
-                baseId = headerText
-                    .toLowerCase()
-                    .replace(/[^a-z0-9\s-]/g, '') // Remove special characters
-                    .replace(/\s+/g, '-') // Replace spaces with hyphens
-                    .replace(/-+/g, '-') // Replace multiple hyphens with single
-                    .replace(/^-|-$/g, '') // Remove leading/trailing hyphens
-                    .substring(0, 50); // Limit length
-                
-                // Fallback if cleaning resulted in empty string
-                if (!baseId) {
-                    baseId = 'accordion-item';
+    class WebAnimationsAnimator {
+        constructor(item) {
+            this.item = item;
+            this.animations = [];
+        }
+
+        animate(isOpen, { from = null, onComplete = null } = {}) {
+            const body = this.item.body;
+            const { duration, ease } = this.item.getAnimationTiming(isOpen);
+            const easing = toCssEasing(ease);
+            const ms = duration * 1000;
+            const tracks = getAnimationTracks(this.item);
+
+            // Pick up from wherever an interrupted animation had got to
+            const startHeight = from !== null ? from : body.getBoundingClientRect().height;
+            const startStates = tracks.map(track => {
+                const end = toCssState(track.open);
+                if (from !== null) return toCssState(track.closed);
+                const computed = getComputedStyle(track.element);
+                return Object.keys(end).reduce((state, property) => {
+                    state[property] = computed[property];
+                    return state;
+                }, {});
+            });
+            this.stop();
+
+            // The inline end state shows through once the animation is done
+            setPanelHeight(body, isOpen);
+            body.style.overflow = 'hidden';
+            const endHeight = isOpen ? body.scrollHeight : 0;
+
+            const heightAnimation = body.animate(
+                [{ height: `${startHeight}px` }, { height: `${endHeight}px` }],
+                { duration: ms, easing }
+            );
+            this.animations = [heightAnimation];
+            this.isOpening = isOpen;
+
+            tracks.forEach((track, index) => {
+                const end = toCssState(isOpen ? track.open : track.closed);
+                Object.assign(track.element.style, end);
+                const delay = isOpen ? track.start : 1 - track.start - track.length;
+                this.animations.push(track.element.animate([startStates[index], end], {
+                    duration: track.length * ms,
+                    delay: delay * ms,
+                    easing,
+                    fill: 'backwards'
+                }));
+            });
+
+            heightAnimation.onfinish = () => {
+                if (this.animations[0] !== heightAnimation) return;
+                this.animations = [];
+                if (onComplete) onComplete();
+            };
+        }
+
+        stop() {
+            const animations = this.animations;
+            this.animations = [];
+            animations.forEach(animation => animation.cancel());
+        }
+
+        jump(isOpen) {
+            this.stop();
+            getAnimationTracks(this.item).forEach(track => {
+                Object.assign(track.element.style, toCssState(isOpen ? track.open : track.closed));
+            });
+            setPanelHeight(this.item.body, isOpen);
+        }
+
+        isAnimating() {
+            return this.animations.length > 0;
+        }
+
+        retarget() {
+            // Closing panels shrink to 0 whatever the content does
+            const [heightAnimation] = this.animations;
+            if (!heightAnimation || !this.isOpening) return;
+            const [start] = heightAnimation.effect.getKeyframes();
+            heightAnimation.effect.setKeyframes([
+                { height: start.height },
+                { height: `${this.item.body.scrollHeight}px` }
+            ]);
+        }
+
+        reset() {
+            // Heights are measured on every run
+        }
+
+        cancel() {
+            this.stop();
+            clearTrackStyles(getAnimationTracks(this.item));
+        }
+    }
+
+    class CssTransitionAnimator {
+        constructor(item) {
+            this.item = item;
+            this.pending = null;
+        }
+
+        animate(isOpen, { from = null, onComplete = null } = {}) {
+            const body = this.item.body;
+            const { duration, ease } = this.item.getAnimationTiming(isOpen);
+            const easing = toCssEasing(ease);
+            const tracks = getAnimationTracks(this.item);
+
+            // Pick up from wherever an interrupted transition had got to
+            const startHeight = from !== null ? from : body.getBoundingClientRect().height;
+            this.stop();
+
+            body.style.overflow = 'hidden';
+            body.style.transition = 'none';
+            body.style.height = `${startHeight}px`;
+            if (from !== null) {
+                tracks.forEach(track => {
+                    track.element.style.transition = 'none';
+                    Object.assign(track.element.style, toCssState(track.closed));
+                });
+            }
+            // Commit the start values before transitioning away from them
+            void body.offsetHeight;
+
+            body.style.transition = `height ${duration}s ${easing}`;
+            if (isOpen && supportsInterpolateSize()) {
+                // Transition straight to auto so content resizing mid-flight is followed
+                body.style.setProperty('interpolate-size', 'allow-keywords');
+                body.style.height = 'auto';
+            } else {
+                body.style.height = isOpen ? `${body.scrollHeight}px` : '0';
+            }
+
+            // Transitions continue from the current value, so tracks need no measuring
+            tracks.forEach(track => {
+                const end = toCssState(isOpen ? track.open : track.closed);
+                const delay = (isOpen ? track.start : 1 - track.start - track.length) * duration;
+                track.element.style.transition = Object.keys(end)
+                    .map(property => `${property} ${track.length * duration}s ${easing} ${delay}s`)
+                    .join(', ');
+                Object.assign(track.element.style, end);
+            });
+
+            const done = () => {
+                this.stop();
+                setPanelHeight(body, isOpen);
+                if (onComplete) onComplete();
+            };
+            const handleEnd = (event) => {
+                if (event.target === body && event.propertyName === 'height') done();
+            };
+            body.addEventListener('transitionend', handleEnd);
+            // transitionend never fires when the height doesn't change or the panel isn't rendered
+            const timer = setTimeout(done, duration * 1000 + 50);
+            this.pending = { handleEnd, timer, done, isOpen, duration };
+        }
+
+        retarget() {
+            const body = this.item.body;
+            // Transitions to auto already follow the content, and closing panels shrink to 0
+            if (!this.pending || !this.pending.isOpen || body.style.height === 'auto') return;
+
+            const target = `${body.scrollHeight}px`;
+            if (body.style.height === target) return;
+            // The transition restarts from the current height, so the fallback has to wait for it
+            body.style.height = target;
+            clearTimeout(this.pending.timer);
+            this.pending.timer = setTimeout(this.pending.done, this.pending.duration * 1000 + 50);
+        }
+
+        stop() {
+            if (!this.pending) return;
+            const body = this.item.body;
+            body.removeEventListener('transitionend', this.pending.handleEnd);
+            clearTimeout(this.pending.timer);
+            this.pending = null;
+            body.style.removeProperty('transition');
+            body.style.removeProperty('interpolate-size');
+        }
+
+        jump(isOpen) {
+            this.stop();
+            getAnimationTracks(this.item).forEach(track => {
+                track.element.style.transition = 'none';
+                Object.assign(track.element.style, toCssState(isOpen ? track.open : track.closed));
+            });
+            setPanelHeight(this.item.body, isOpen);
+        }
+
+        isAnimating() {
+            return Boolean(this.pending);
+        }
+
+        reset() {
+            // Heights are measured on every run
+        }
+
+        cancel() {
+            this.stop();
+            clearTrackStyles(getAnimationTracks(this.item));
+        }
+    }
+
+    // One ResizeObserver watches every panel on the page
+    const observedPanels = new Map();
+    let panelResizeObserver = null;
+    let scrollTriggerRefreshScheduled = false;
+
+    function observePanel(item) {
+        if (!panelResizeObserver) {
+            if (typeof ResizeObserver !== 'undefined') {
+                panelResizeObserver = new ResizeObserver(entries => {
+                    handlePanelResize(entries.map(entry => observedPanels.get(entry.target)).filter(Boolean));
+                });
+            } else {
+                // Without ResizeObserver only viewport changes can be noticed
+                panelResizeObserver = { observe() {}, unobserve() {} };
+                window.addEventListener('resize', () => handlePanelResize(Array.from(observedPanels.values())));
+            }
+        }
+        observedPanels.set(item.body, item);
+        panelResizeObserver.observe(item.body);
+    }
+
+    function unobservePanel(item) {
+        if (!observedPanels.has(item.body)) return;
+        observedPanels.delete(item.body);
+        panelResizeObserver.unobserve(item.body);
+    }
+
+    function handlePanelResize(items) {
+        let layoutChanged = false;
+        items.forEach(item => {
+            // scrollHeight is the content height even while the panel is clipped
+            const previousHeight = item.contentHeight;
+            item.contentHeight = item.body.scrollHeight;
+
+            // The first observation only records the height, and the panel resizing itself
+            // during an animation leaves the content height alone
+            if (previousHeight === undefined || previousHeight === item.contentHeight) return;
+
+            if (item.animator.isAnimating()) {
+                // Content that grew mid-flight would otherwise be cut off at the old height
+                if (typeof item.animator.retarget === 'function') {
+                    item.animator.retarget();
                 }
+            } else if (item.isOpen) {
+                if (item.body.style.height !== 'auto') {
+                    item.body.style.height = 'auto';
+                }
+                // Drop cached measurements since content dimensions changed
+                item.resetAnimation();
+                layoutChanged = true;
             }
-            
-            // Ensure uniqueness by checking existing IDs
-            let uniqueId = baseId;
-            let counter = 1;
-            
-            while (document.getElementById(uniqueId)) {
-                uniqueId = `${baseId}-${counter}`;
-                counter++;
+        });
+        // Transitions refresh once they finish, so only content changes at rest need one here
+        if (layoutChanged) scheduleScrollTriggerRefresh();
+    }
+
+    function scheduleScrollTriggerRefresh() {
+        if (typeof ScrollTrigger === 'undefined' || scrollTriggerRefreshScheduled) return;
+        scrollTriggerRefreshScheduled = true;
+        // One refresh per frame however many panels changed
+        const schedule = typeof requestAnimationFrame === 'function' ? requestAnimationFrame : setTimeout;
+        schedule(() => {
+            scrollTriggerRefreshScheduled = false;
+            ScrollTrigger.refresh();
+        });
+    }
+
+    // Built-in engines; add a factory here to register a custom engine by name
+    const animators = {
+        gsap: item => new GsapAnimator(item),
+        waapi: item => new WebAnimationsAnimator(item),
+        css: item => new CssTransitionAnimator(item)
+    };
+
+    function resolveAnimator(engine) {
+        if (typeof engine === 'function') return engine;
+
+        if (engine && engine !== 'auto') {
+            if (engine === 'gsap' && typeof gsap === 'undefined') {
+                console.warn('GSAP is not loaded; HybridAccordion falls back to another animation engine.');
+            } else if (animators[engine]) {
+                return animators[engine];
+            } else {
+                console.warn(`Unknown animation engine "${engine}" ignored`);
             }
-            
-            return uniqueId;
         }
 
-        setupSchema() {
-            this.element.setAttribute('itemscope', '');
-            this.element.setAttribute('itemtype', 'https://schema.org/Question');
-            this.header.setAttribute('itemprop', 'name');
+        // Prefer GSAP when present, then the Web Animations API, then CSS transitions
+        if (typeof gsap !== 'undefined') return animators.gsap;
+        if (typeof Element !== 'undefined' && typeof Element.prototype.animate === 'function') {
+            return animators.waapi;
+        }
+        return animators.css;
+    }
+
+    class AccordionItem {
+        constructor(element, accordion) {
+            this.element = element;
+            this.accordion = accordion;
+            this.header = element.querySelector(accordion.options.headerSelector);
+            this.body = element.querySelector(accordion.options.bodySelector);
+            this.icon = element.querySelector(accordion.options.iconSelector);
             
-            // Create wrapper for existing content
-            const bodyContent = this.body.children;
-            const answerWrapper = document.createElement('div');
-            answerWrapper.setAttribute('itemscope', '');
-            answerWrapper.setAttribute('itemprop', 'acceptedAnswer');
-            answerWrapper.setAttribute('itemtype', 'https://schema.org/Answer');
+            // Parse item-specific attributes
+            this.parseAttributes();
             
-            const textWrapper = document.createElement('div');
-            textWrapper.setAttribute('itemprop', 'text');
+            // <details>/<summary> or a button that controls a panel
+            this.setupAccessibility();
             
-            // Move all existing content into the new wrappers
-            while (bodyContent.length > 0) {
-                textWrapper.appendChild(bodyContent[0]);
-            }
+            // Set up animations (lazy timeline creation)
+            this.setupAnimations();
             
-            answerWrapper.appendChild(textWrapper);
-            this.body.appendChild(answerWrapper);
+            // Bind events
+            this.bindEvents();
+            
+            // Pick up override changes at runtime
+            this.observeAttributes();
+            
+            // Set initial state
+            this.isOpen = false;
+            this.lastSource = null;
+            this.pendingTransition = null;
+            this.transitionStart = 0;
+            this.settleCallbacks = [];
+            this.instantTransition = false;
+            this.contentState = 'idle';
+            this.contentPromise = null;
+            this.statusElement = null;
+            this.setInitialState();
+            this.updateDisabledState();
+            
+            // Add schema markup if enabled
+            this.usesMicrodata = this.accordion.getSchemaFormat() === 'microdata' &&
+                this.element.getAttribute('data-acc-schema') !== 'false';
+            if (this.usesMicrodata) {
+                this.setupSchema();
+            }
         }
 
-        refreshScrollTrigger() {
-            if (typeof ScrollTrigger !== 'undefined') {
-                ScrollTrigger.refresh();
+        parseAttributes() {
+            this.startOpen = parseBooleanAttribute(this.element, 'data-acc-open');
+            this.contentSrc = this.element.getAttribute('data-acc-src');
+            this.isDisabled = parseBooleanAttribute(this.element, 'data-acc-disabled');
+            this.parseOptionOverrides();
+
+            // Persisted state overrides the markup defaults
+            const persistedIds = this.accordion.persistedIds;
+            if (persistedIds) {
+                if (!this.element.id) {
+                    this.element.id = this.generateUniqueId();
+                }
+                this.startOpen = persistedIds.includes(this.element.id);
             }
         }
 
-        addActiveClasses() {
-            const { activeClass } = this.accordion.options;
-            this.element.classList.add(activeClass);
-            if (this.header) this.header.classList.add(activeClass);
-            if (this.icon) this.icon.classList.add(activeClass);
+        parseOptionOverrides() {
+            this.overrides = {};
+            Object.keys(itemOptionAttributes).forEach(name => {
+                if (!this.element.hasAttribute(name)) return;
+
+                const [section, key] = itemOptionAttributes[name];
+                let value;
+                if (name.endsWith('duration')) {
+                    value = parseTimeValue(this.element.getAttribute(name));
+                } else if (section === 'animation') {
+                    value = this.element.getAttribute(name);
+                } else {
+                    value = parseBooleanAttribute(this.element, name);
+                }
+
+                if (!this.overrides[section]) this.overrides[section] = {};
+                this.overrides[section][key] = value;
+            });
         }
 
-        removeActiveClasses() {
-            const { activeClass } = this.accordion.options;
-            this.element.classList.remove(activeClass);
-            if (this.header) this.header.classList.remove(activeClass);
-            if (this.icon) this.icon.classList.remove(activeClass);
+        getOptions(section) {
+            // Item overrides, then the container's options (which already include the defaults)
+            return { ...this.accordion.options[section], ...this.overrides[section] };
         }
 
-        closeNestedItems() {
-            // Find all nested accordion containers within this item's body
-            const nestedContainers = this.body.querySelectorAll(this.accordion.options.containerSelector);
-            
-            nestedContainers.forEach(container => {
-                // Find the accordion instance for this container
-                const nestedAccordion = accordionRegistry.find(acc => acc.element === container);
-                
-                if (nestedAccordion) {
-                    // Close all open items in the nested accordion
-                    nestedAccordion.items.forEach(nestedItem => {
-                        if (nestedItem.isOpen) {
-                            nestedItem.close();
-                        }
-                    });
+        observeAttributes() {
+            this.attributeObserver = new MutationObserver(() => {
+                this.parseOptionOverrides();
+                const disabled = parseBooleanAttribute(this.element, 'data-acc-disabled');
+                if (disabled !== this.isDisabled) {
+                    this.isDisabled = disabled;
+                    this.updateDisabledState();
                 }
             });
+            this.attributeObserver.observe(this.element, {
+                attributes: true,
+                attributeFilter: ['data-acc-disabled', ...Object.keys(itemOptionAttributes)]
+            });
         }
 
-        // ARIA attributes and ID generation are unnecessary with semantic HTML
-    }
+        updateDisabledState() {
+            // Disabled items stay locked in their current state with an inert header
+            if (this.isDisabled) {
+                this.header.setAttribute('aria-disabled', 'true');
+            } else {
+                this.header.removeAttribute('aria-disabled');
+            }
 
-    class Accordion {
-        constructor(element, options = {}) {
-            // Check for GSAP dependency
-            if (typeof gsap === 'undefined') {
-                console.error('GSAP is required for the Hybrid Accordion. Please include GSAP before initializing the accordion.');
-                return;
+            // Tabs manage the panel's hidden attribute themselves
+            if (this.accordion.mode !== 'tabs') {
+                this.setPanelHidden(!this.isOpen);
             }
+        }
 
-            this.element = element;
-            this.isInitialLoad = true;
-            
-            // Parse attributes from the accordion container
-            this.parseContainerAttributes();
-            
-            // Merge options
-            this.options = this.mergeOptions(defaultOptions, options);
-            
-            // Centralized motion preference
-            this.prefersReducedMotion = false;
-            try {
-                const motionMediaQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
-                this.prefersReducedMotion = motionMediaQuery.matches;
-                motionMediaQuery.addEventListener('change', (event) => {
-                    this.prefersReducedMotion = event.matches;
-                });
-            } catch (error) {
-                this.prefersReducedMotion = false;
+        setupAccessibility() {
+            // Any other markup is treated as a disclosure button controlling its panel
+            const isDetails = this.element.tagName.toLowerCase() === 'details';
+            this.isSemanticHTML = isDetails && this.header.tagName.toLowerCase() === 'summary';
+            if (isDetails && !this.isSemanticHTML) {
+                console.error('HybridAccordion <details> items need a <summary> header.');
             }
-            
-            // Add FAQ schema markup to container if enabled
-            if (this.options.schema.enabled) {
-                element.setAttribute('itemscope', '');
-                element.setAttribute('itemtype', 'https://schema.org/FAQPage');
+
+            // <details> exposes the expanded state; relating header and panel takes ids
+            const baseId = this.element.id || this.generateUniqueId();
+            this.addedAriaIds = { header: !this.header.id, body: !this.body.id };
+            if (this.addedAriaIds.header) this.header.id = uniqueDocumentId(`${baseId}-header`);
+            if (this.addedAriaIds.body) this.body.id = uniqueDocumentId(`${baseId}-panel`);
+
+            if (!this.isSemanticHTML) {
+                // Headers that aren't <button>s get the role and keyboard support of one
+                this.isNativeButton = this.header.tagName.toLowerCase() === 'button';
+                this.addedButtonAttributes = this.isNativeButton
+                    ? (this.header.hasAttribute('type') ? [] : ['type'])
+                    : ['role', 'tabindex'].filter(name => !this.header.hasAttribute(name));
             }
-            
-            // Register this accordion instance globally
-            accordionRegistry.push(this);
-            
-            this.initialize();
+            this.linkHeaderAndPanel();
         }
 
-        parseContainerAttributes() {
-            // Parse container-level configuration from data attributes
-            this.containerConfig = {};
-            
-            const attrs = this.element.attributes;
-            for (let i = 0; i < attrs.length; i++) {
-                const attr = attrs[i];
-                if (attr.name.startsWith('data-acc-')) {
-                    const key = attr.name.replace('data-acc-', '');
-                    
-                    // Handle different attribute types
-                    let value;
-                    if (key === 'duration' || key === 'scroll-delay') {
-                        value = parseTimeValue(attr.value);
-                    } else if (this.isBooleanAttribute(key)) {
-                        value = parseBooleanAttribute(this.element, attr.name);
-                    } else {
-                        value = attr.value; // String values like ease
-                    }
-                    
-                    this.containerConfig[key] = value;
+        linkHeaderAndPanel() {
+            if (!this.isSemanticHTML) {
+                // Buttons inside a form would submit it otherwise
+                const defaults = { type: 'button', role: 'button', tabindex: '0' };
+                this.addedButtonAttributes.forEach(name => this.header.setAttribute(name, defaults[name]));
+            }
+            this.header.setAttribute('aria-controls', this.body.id);
+            // Landmarks help with a few large panels but clutter long lists. Only a region
+            // may be named; a plain panel has the generic role.
+            if (this.accordion.options.accessibility.regionRole) {
+                this.body.setAttribute('role', 'region');
+                this.body.setAttribute('aria-labelledby', this.header.id);
+            }
+        }
+
+        removeAria() {
+            if (!this.isSemanticHTML) {
+                this.addedButtonAttributes.forEach(name => this.header.removeAttribute(name));
+                this.header.removeAttribute('aria-expanded');
+            }
+            this.header.removeAttribute('aria-controls');
+            this.body.removeAttribute('aria-labelledby');
+            if (this.body.getAttribute('role') === 'region') this.body.removeAttribute('role');
+            if (this.addedAriaIds.header) this.header.removeAttribute('id');
+            if (this.addedAriaIds.body) this.body.removeAttribute('id');
+        }
+
+        setupAnimations() {
+            // Engine state (timelines, running animations) is created on first use
+            this.animator = this.accordion.createAnimator(this);
+            observePanel(this);
+        }
+
+        shouldAnimate() {
+            if (this.instantTransition) return false;
+            return !(this.accordion.prefersReducedMotion && this.accordion.options.animation.respectMotionPreference);
+        }
+
+        resetAnimation() {
+            // Re-measured on next use, e.g. with a new duration
+            this.animator.reset();
+        }
+
+        finishOpen() {
+            this.refreshScrollTrigger();
+            this.completeTransition('open');
+        }
+
+        finishClose() {
+            if (this.isSemanticHTML) {
+                this.element.removeAttribute('open');
+            }
+            this.setPanelHidden(true);
+            this.refreshScrollTrigger();
+            this.completeTransition('close');
+        }
+
+        dispatch(type, source, cancelable = false, extraDetail = {}) {
+            const event = new CustomEvent(`${EVENT_PREFIX}${type}`, {
+                bubbles: true,
+                cancelable,
+                detail: {
+                    item: this,
+                    accordion: this.accordion,
+                    source,
+                    ...extraDetail
                 }
+            });
+            return this.element.dispatchEvent(event);
+        }
+
+        getAnimationTiming(isOpen) {
+            return resolveTiming(this.getOptions('animation'), isOpen);
+        }
+
+        getTransitionDuration(type) {
+            if (!this.shouldAnimate()) {
+                return 0;
+            }
+            return this.getAnimationTiming(type === 'open').duration;
+        }
+
+        beginTransition(type, source) {
+            // A new transition supersedes any running one
+            this.settle();
+            this.lastSource = source;
+            this.pendingTransition = type;
+            this.transitionStart = Date.now();
+            this.dispatch(type, source, false, { duration: this.getTransitionDuration(type) });
+
+            if (this.accordion.options.accessibility.announce && announcedSources.includes(source)) {
+                const { messages } = this.accordion.options;
+                announce(formatMessage(type === 'open' ? messages.opened : messages.closed, {
+                    title: getHeaderText(this.header, this.accordion.options)
+                }));
+            }
+
+            // Changes made while applying the URL, or that don't reflect the user's choice, stay out of it
+            if (this.accordion.getDeepLinkMode() && !applyingUrlState && !openLimitExemptSources.includes(source)) {
+                scheduleDeepLinkUpdate();
+            }
+
+            // Linked items follow, without echoing their own change back
+            if (source !== 'sync' && !openLimitExemptSources.includes(source)) {
+                this.syncLinkedItems();
+            }
+        }
+
+        getSyncKey() {
+            // Items pair up by data-acc-key, or by position when they have none
+            return this.element.getAttribute('data-acc-key') || String(this.accordion.items.indexOf(this));
+        }
+
+        syncLinkedItems() {
+            const { sync } = this.accordion.options.interactions;
+            if (!sync) return;
+
+            const key = this.getSyncKey();
+            accordionRegistry.forEach(accordion => {
+                if (accordion === this.accordion || accordion.options.interactions.sync !== sync) return;
+                const linked = accordion.items.find(item => item.getSyncKey() === key);
+                if (!linked || linked.isOpen === this.isOpen) return;
+                if (this.isOpen) {
+                    linked.open('sync');
+                } else {
+                    linked.close('sync');
+                }
+            });
+        }
+
+        completeTransition(type) {
+            // Only fire once per transition, and only if it wasn't superseded
+            if (this.pendingTransition !== type) return;
+            this.pendingTransition = null;
+            this.dispatch(`after${type}`, this.lastSource, false, {
+                duration: this.getTransitionDuration(type),
+                elapsed: (Date.now() - this.transitionStart) / 1000
+            });
+            this.settle();
+        }
+
+        settle() {
+            const callbacks = this.settleCallbacks;
+            this.settleCallbacks = [];
+            callbacks.forEach(callback => callback(this));
+        }
+
+        whenSettled() {
+            // Resolves once the running transition completes or is superseded
+            if (!this.pendingTransition) return Promise.resolve(this);
+            return new Promise(resolve => this.settleCallbacks.push(resolve));
+        }
+
+        bindEvents() {
+            // Keep handler references so destroy() can remove them
+            this.handlers = {
+                click: (event) => this.handleHeaderClick(event),
+                toggle: () => this.handleToggle(),
+                headerEnter: (event) => this.startHoverIntent(event),
+                headerLeave: () => this.cancelHoverIntent(),
+                headerMove: (event) => {
+                    this.pointerPosition = { x: event.clientX, y: event.clientY };
+                },
+                headerPointerdown: () => {
+                    // The focus that follows a click isn't keyboard focus
+                    this.pointerFocus = true;
+                },
+                itemEnter: () => this.cancelHoverClose(),
+                itemLeave: (event) => {
+                    if (this.canHover(event)) this.scheduleHoverClose('hover');
+                },
+                focusin: (event) => this.handleFocusIn(event),
+                focusout: (event) => {
+                    if (!this.element.contains(event.relatedTarget)) this.scheduleHoverClose('focus');
+                },
+                keydown: (event) => this.handleHeaderKeydown(event),
+                beforematch: () => this.handleBeforeMatch(),
+                tabKeydown: (event) => this.handleTabKeydown(event),
+                copyLink: (event) => {
+                    // Copying a link shouldn't toggle the item
+                    event.preventDefault();
+                    event.stopPropagation();
+                    this.copyLink('click').catch(() => {});
+                },
+                dragStart: (event) => this.accordion.startDrag(this, event),
+                dragClick: (event) => {
+                    // Grabbing the handle shouldn't toggle the item
+                    event.preventDefault();
+                    event.stopPropagation();
+                },
+                reorderKeydown: (event) => this.handleReorderKeydown(event),
+                buttonKeydown: (event) => this.handleButtonKeydown(event)
+            };
+
+            // <summary> clicks are reconciled with the native toggle, buttons are handled entirely here
+            this.header.addEventListener('click', this.handlers.click);
+            if (!this.isSemanticHTML && !this.isNativeButton) {
+                this.header.addEventListener('keydown', this.handlers.buttonKeydown);
+            }
+
+            // Optional "copy link to this item" control inside the header
+            this.copyLinkButton = this.header.querySelector('[data-acc="copy-link"]');
+            if (this.copyLinkButton) {
+                this.copyLinkButton.addEventListener('click', this.handlers.copyLink);
+            }
+
+            // Handle toggle event for both opening and closing (<details> only)
+            this.element.addEventListener('toggle', this.handlers.toggle);
+
+            // Add hover support (only acts while openOnHover is enabled)
+            this.header.addEventListener('pointerenter', this.handlers.headerEnter);
+            this.header.addEventListener('pointerleave', this.handlers.headerLeave);
+            this.header.addEventListener('pointermove', this.handlers.headerMove);
+            this.header.addEventListener('pointerdown', this.handlers.headerPointerdown);
+            this.element.addEventListener('pointerenter', this.handlers.itemEnter);
+            this.element.addEventListener('pointerleave', this.handlers.itemLeave);
+            this.element.addEventListener('focusin', this.handlers.focusin);
+            this.element.addEventListener('focusout', this.handlers.focusout);
+
+            // Open when find-in-page or a text fragment matches collapsed content
+            if (this.accordion.options.interactions.findInPage) {
+                this.body.addEventListener('beforematch', this.handlers.beforematch);
+            }
+
+            // Arrow/Home/End navigation between headers if enabled
+            if (this.accordion.options.interactions.keyboardNavigation) {
+                this.header.addEventListener('keydown', this.handlers.keydown);
+            }
+
+            if (this.accordion.options.interactions.reorderable) {
+                this.setupDragHandle();
+                this.dragHandle.addEventListener('pointerdown', this.handlers.dragStart);
+                this.dragHandle.addEventListener('click', this.handlers.dragClick);
+                this.header.addEventListener('keydown', this.handlers.reorderKeydown);
+            }
+        }
+
+        setupDragHandle() {
+            // Markup can bring its own handle
+            this.dragHandle = this.header.querySelector('[data-acc="drag-handle"]');
+            this.createdDragHandle = !this.dragHandle;
+            if (this.createdDragHandle) {
+                this.dragHandle = document.createElement('span');
+                this.dragHandle.setAttribute('data-acc', 'drag-handle');
+                this.dragHandle.textContent = '⠿';
+                this.header.prepend(this.dragHandle);
+            }
+
+            // Pointer-only; keyboard users reorder from the header itself
+            this.dragHandle.setAttribute('aria-hidden', 'true');
+            this.dragHandle.title = formatMessage(this.accordion.options.messages.reorderHandle, {});
+            this.dragHandle.style.touchAction = 'none';
+            this.header.setAttribute('aria-keyshortcuts', 'Alt+ArrowUp Alt+ArrowDown');
+        }
+
+        removeDragHandle() {
+            if (!this.dragHandle) return;
+            this.dragHandle.removeEventListener('pointerdown', this.handlers.dragStart);
+            this.dragHandle.removeEventListener('click', this.handlers.dragClick);
+            if (this.createdDragHandle) {
+                this.dragHandle.remove();
+            } else {
+                this.dragHandle.removeAttribute('aria-hidden');
+                this.dragHandle.removeAttribute('title');
+                this.dragHandle.style.removeProperty('touch-action');
+            }
+            this.header.removeAttribute('aria-keyshortcuts');
+            this.dragHandle = null;
+        }
+
+        unbindEvents() {
+            if (!this.handlers) return;
+            this.header.removeEventListener('click', this.handlers.click);
+            if (this.copyLinkButton) {
+                this.copyLinkButton.removeEventListener('click', this.handlers.copyLink);
+            }
+            this.element.removeEventListener('toggle', this.handlers.toggle);
+            this.header.removeEventListener('pointerenter', this.handlers.headerEnter);
+            this.header.removeEventListener('pointerleave', this.handlers.headerLeave);
+            this.header.removeEventListener('pointermove', this.handlers.headerMove);
+            this.header.removeEventListener('pointerdown', this.handlers.headerPointerdown);
+            this.element.removeEventListener('pointerenter', this.handlers.itemEnter);
+            this.element.removeEventListener('pointerleave', this.handlers.itemLeave);
+            this.element.removeEventListener('focusin', this.handlers.focusin);
+            this.element.removeEventListener('focusout', this.handlers.focusout);
+            this.cancelHoverIntent();
+            this.cancelHoverClose();
+            this.header.removeEventListener('keydown', this.handlers.keydown);
+            this.body.removeEventListener('beforematch', this.handlers.beforematch);
+            this.header.removeEventListener('keydown', this.handlers.tabKeydown);
+            this.header.removeEventListener('keydown', this.handlers.reorderKeydown);
+            this.header.removeEventListener('keydown', this.handlers.buttonKeydown);
+            this.removeDragHandle();
+            this.handlers = null;
+        }
+
+        handleHeaderClick(event) {
+            this.pointerFocus = false;
+
+            // Summary clicks are inert while the accordion or the item is disabled
+            if (this.accordion.isDisabled || this.isDisabled) {
+                event.preventDefault();
+                return;
+            }
+
+            // Tabs select on click and never close
+            if (this.accordion.mode === 'tabs') {
+                event.preventDefault();
+                if (!this.isOpen) this.open('click');
+                return;
+            }
+
+            if (!this.isSemanticHTML) {
+                // Buttons have no native behavior to build on
+                event.preventDefault();
+                this.toggle('click');
+            } else if (this.element.hasAttribute('open')) {
+                if (!this.accordion.options.interactions.closeOnSecondClick) {
+                    event.preventDefault();
+                    return;
+                }
+                event.preventDefault();
+                this.close('click');
+            } else if (!this.dispatch('beforeopen', 'click', true)) {
+                // Opening was cancelled by a listener
+                event.preventDefault();
+            }
+        }
+
+        handleButtonKeydown(event) {
+            // Enter and Space activate elements given role="button", like they do real buttons
+            if (event.target !== this.header || (event.key !== 'Enter' && event.key !== ' ')) return;
+            event.preventDefault();
+            this.header.click();
+        }
+
+        handleHeaderKeydown(event) {
+            // Leave modified keys to the browser and other handlers
+            if (event.altKey || event.ctrlKey || event.metaKey || event.shiftKey) return;
+
+            const target = this.accordion.getAdjacentItem(this, event.key);
+            if (!target) return;
+
+            event.preventDefault();
+            target.header.focus();
+        }
+
+        handleReorderKeydown(event) {
+            if (!event.altKey || event.ctrlKey || event.metaKey || event.shiftKey) return;
+            if (event.key !== 'ArrowUp' && event.key !== 'ArrowDown') return;
+            if (this.accordion.mode === 'tabs') return;
+
+            // Step over items hidden by a search
+            const visible = this.accordion.items.filter(item => !item.element.hidden);
+            const target = visible[visible.indexOf(this) + (event.key === 'ArrowUp' ? -1 : 1)];
+            event.preventDefault();
+            if (!target) return;
+
+            this.accordion.reorderItem(this, this.accordion.items.indexOf(target), 'keyboard');
+        }
+
+        canHover(event = null) {
+            // Checked on every event so breakpoints can switch hover on and off
+            if (!this.getOptions('interactions').openOnHover) return false;
+            if (this.accordion.isDisabled || this.isDisabled) return false;
+
+            const isCoarse = event && event.pointerType && event.pointerType !== 'mouse';
+            return !(isCoarse && this.getOptions('hover').ignoreCoarsePointers);
+        }
+
+        startHoverIntent(event) {
+            this.cancelHoverIntent();
+            if (this.isOpen || !this.canHover(event)) return;
+
+            const { openDelay, velocityThreshold } = this.getOptions('hover');
+            if (!openDelay) {
+                this.open('hover');
+                return;
+            }
+
+            // Only open once the pointer slows down over the header
+            this.pointerPosition = { x: event.clientX, y: event.clientY };
+            let last = { ...this.pointerPosition, time: Date.now() };
+            const check = () => {
+                const now = Date.now();
+                const { x, y } = this.pointerPosition;
+                const speed = Math.hypot(x - last.x, y - last.y) / Math.max(now - last.time, 1);
+
+                if (velocityThreshold && speed > velocityThreshold) {
+                    last = { x, y, time: now };
+                    this.hoverTimer = setTimeout(check, openDelay * 1000);
+                    return;
+                }
+
+                this.hoverTimer = null;
+                if (!this.isOpen && this.canHover()) this.open('hover');
+            };
+            this.hoverTimer = setTimeout(check, openDelay * 1000);
+        }
+
+        cancelHoverIntent() {
+            clearTimeout(this.hoverTimer);
+            this.hoverTimer = null;
+        }
+
+        scheduleHoverClose(source) {
+            this.cancelHoverClose();
+            // Tabs always keep one panel selected
+            if (!this.isOpen || this.accordion.mode === 'tabs' || !this.canHover()) return;
+
+            const { closeOnLeave, closeDelay } = this.getOptions('hover');
+            if (!closeOnLeave) return;
+
+            this.hoverCloseTimer = setTimeout(() => {
+                this.hoverCloseTimer = null;
+                if (this.isOpen) this.close(source);
+            }, closeDelay * 1000);
+        }
+
+        cancelHoverClose() {
+            clearTimeout(this.hoverCloseTimer);
+            this.hoverCloseTimer = null;
+        }
+
+        handleFocusIn(event) {
+            // Moving focus back into the item keeps it open
+            this.cancelHoverClose();
+
+            const fromPointer = this.pointerFocus;
+            this.pointerFocus = false;
+            if (event.target !== this.header || fromPointer) return;
+
+            if (!this.isOpen && this.getOptions('hover').focus && this.canHover()) {
+                this.open('focus');
+            }
+        }
+
+        handleBeforeMatch() {
+            // Ancestors first, so a nested match ends up visible
+            [...getAncestors(this), this].forEach(item => {
+                if (!item.isOpen) item.open('find');
+            });
+        }
+
+        setPanelHidden(hidden) {
+            // Closed <details> hide their content themselves; other panels need the hidden attribute
+            const findInPage = this.accordion.options.interactions.findInPage && supportsHiddenUntilFound();
+            if (this.isSemanticHTML && !findInPage) return;
+
+            if (!hidden) {
+                this.body.removeAttribute('hidden');
+            } else if (findInPage && !this.isDisabled) {
+                this.body.setAttribute('hidden', 'until-found');
+            } else if (this.isSemanticHTML) {
+                // Matches can't open a disabled item, so don't reveal them
+                this.body.removeAttribute('hidden');
+            } else {
+                this.body.setAttribute('hidden', '');
+            }
+        }
+
+        handleTabKeydown(event) {
+            const items = this.accordion.items;
+            const index = items.indexOf(this);
+            const last = items.length - 1;
+            let target;
+
+            // Tabs wrap around and select on focus (automatic activation)
+            switch (event.key) {
+                case 'ArrowRight':
+                case 'ArrowDown':
+                    target = items[index === last ? 0 : index + 1];
+                    break;
+                case 'ArrowLeft':
+                case 'ArrowUp':
+                    target = items[index === 0 ? last : index - 1];
+                    break;
+                case 'Home':
+                    target = items[0];
+                    break;
+                case 'End':
+                    target = items[last];
+                    break;
+                case 'Enter':
+                case ' ':
+                    target = this;
+                    break;
+                default:
+                    return;
+            }
+
+            event.preventDefault();
+            target.header.focus();
+            if (!target.isOpen) target.open('keyboard');
+        }
+
+        enterTabsMode(tablist, tabpanels, selected) {
+            // Tabs switch without height animations
+            this.animator.cancel();
+
+            if (!this.element.id) {
+                this.element.id = this.generateUniqueId();
+            }
+            this.addedTabIds = { header: !this.header.id, body: !this.body.id };
+            if (this.addedTabIds.header) this.header.id = `${this.element.id}-tab`;
+            if (this.addedTabIds.body) this.body.id = `${this.element.id}-panel`;
+
+            // Tabs take over the header's role and tabindex; the original values come back afterwards
+            this.headerTabAttributes = ['role', 'tabindex'].map(name => [name, this.header.getAttribute(name)]);
+
+            // Leave markers behind so the <details> markup can be restored
+            this.headerMarker = document.createComment('acc-header');
+            this.bodyMarker = document.createComment('acc-panel');
+            this.header.replaceWith(this.headerMarker);
+            this.body.replaceWith(this.bodyMarker);
+            tablist.appendChild(this.header);
+            tabpanels.appendChild(this.body);
+            this.element.hidden = true;
+
+            this.header.setAttribute('role', 'tab');
+            this.header.removeAttribute('aria-expanded');
+            this.header.setAttribute('aria-controls', this.body.id);
+            this.header.addEventListener('keydown', this.handlers.tabKeydown);
+            this.body.setAttribute('role', 'tabpanel');
+            this.body.setAttribute('aria-labelledby', this.header.id);
+            this.body.setAttribute('tabindex', '0');
+            this.body.style.removeProperty('height');
+            this.body.style.removeProperty('overflow');
+
+            // Sync state without events, like setInitialState()
+            this.isOpen = selected;
+            if (selected) {
+                this.addActiveClasses();
+            } else {
+                this.removeActiveClasses();
+            }
+            this.updateTabState();
+            if (selected && this.needsContent()) {
+                this.loadContent().catch(() => {});
+            }
+        }
+
+        leaveTabsMode() {
+            this.header.removeEventListener('keydown', this.handlers.tabKeydown);
+            ['aria-selected', 'aria-controls'].forEach(name => this.header.removeAttribute(name));
+            this.headerTabAttributes.forEach(([name, value]) => {
+                if (value === null) {
+                    this.header.removeAttribute(name);
+                } else {
+                    this.header.setAttribute(name, value);
+                }
+            });
+            this.headerTabAttributes = null;
+            ['role', 'aria-labelledby', 'tabindex', 'hidden'].forEach(name => this.body.removeAttribute(name));
+            if (this.addedTabIds.header) this.header.removeAttribute('id');
+            if (this.addedTabIds.body) this.body.removeAttribute('id');
+
+            this.headerMarker.replaceWith(this.header);
+            this.bodyMarker.replaceWith(this.body);
+            this.headerMarker = null;
+            this.bodyMarker = null;
+            this.element.hidden = false;
+            this.linkHeaderAndPanel();
+
+            // Carry the selected tab over as the open item
+            this.startOpen = this.isOpen;
+            this.setInitialState();
+        }
+
+        updateTabState() {
+            this.header.setAttribute('aria-selected', String(this.isOpen));
+            this.header.setAttribute('tabindex', this.isOpen ? '0' : '-1');
+
+            if (this.isOpen) {
+                this.body.removeAttribute('hidden');
+            } else {
+                const untilFound = this.accordion.options.interactions.findInPage && supportsHiddenUntilFound();
+                this.body.setAttribute('hidden', untilFound ? 'until-found' : '');
+            }
+        }
+
+        getAnchorElement() {
+            // The <details> element is hidden in tabs mode
+            return this.accordion.mode === 'tabs' ? this.header : this.element;
+        }
+
+        handleToggle() {
+            // The hidden <details> element doesn't drive state in tabs mode
+            if (this.accordion.mode === 'tabs') return;
+
+            if (this.element.open) {
+                // Element was opened via native browser behavior
+                if (!this.isOpen) {
+                    // Undo the native opening when maxOpen can't be met, before anything else closes
+                    if (!this.accordion.makeRoomFor(this, 'click')) {
+                        this.element.removeAttribute('open');
+                        return;
+                    }
+
+                    // Handle single open mode
+                    if (this.accordion.options.interactions.singleOpen) {
+                        this.accordion.closeAllExcept(this);
+                    }
+                    
+                    this.isOpen = true;
+                    this.openedAt = ++openSequence;
+                    this.addActiveClasses();
+                    this.beginTransition('open', 'click');
+                    this.accordion.persistState();
+
+                    // open() and setInitialState() already handle their own opening
+                    this.handleOpen();
+                }
+            } else {
+                // Element was closed via native browser behavior
+                if (this.isOpen) {
+                    this.isOpen = false;
+                    this.removeActiveClasses();
+                    this.accordion.persistState();
+                }
+            }
+        }
+
+        setInitialState() {
+            if (this.startOpen) {
+                this.isOpen = true;
+                this.openedAt = ++openSequence;
+                this.addActiveClasses();
+                
+                // Set open attribute for semantic elements
+                if (this.isSemanticHTML) {
+                    this.element.setAttribute('open', '');
+                }
+                
+                this.animator.jump(true);
+                this.setPanelHidden(false);
+
+                // Items that start open load their content right away
+                if (this.needsContent()) {
+                    this.loadContent().catch(() => {});
+                }
+            } else {
+                this.isOpen = false;
+                
+                // Remove open attribute for semantic elements
+                if (this.isSemanticHTML) {
+                    this.element.removeAttribute('open');
+                }
+                this.updateExpandedState();
+                this.setPanelHidden(true);
+                
+                this.animator.jump(false);
+            }
+        }
+
+        toggle(source = 'api') {
+            if (this.isOpen) {
+                if (!this.accordion.options.interactions.closeOnSecondClick) return false;
+                return this.close(source);
+            } else {
+                return this.open(source);
+            }
+        }
+
+        open(source = 'api', { ignoreSingleOpen = false, instant = false } = {}) {
+            // Disabled items are locked in their state (breakpoints and printing still reveal everything)
+            if (this.isDisabled && source !== 'breakpoint' && source !== 'print') return false;
+
+            // Give listeners a chance to cancel
+            if (!this.dispatch('beforeopen', source, true)) return false;
+
+            // Stay within maxOpen by closing the least recently opened items. A refused open
+            // leaves the other items as they are.
+            const isTabs = this.accordion.mode === 'tabs';
+            if (!isTabs && !this.accordion.makeRoomFor(this, source)) return false;
+
+            // Handle single open mode (tabs always show a single panel)
+            if (isTabs || (this.accordion.options.interactions.singleOpen && !ignoreSingleOpen)) {
+                this.accordion.closeAllExcept(this);
+            }
+            this.instantTransition = instant;
+
+            this.isOpen = true;
+            this.openedAt = ++openSequence;
+            this.addActiveClasses();
+            this.beginTransition('open', source);
+            this.accordion.persistState();
+
+            if (isTabs) {
+                this.updateTabState();
+                if (this.needsContent()) {
+                    this.loadContent().catch(() => {});
+                }
+                this.completeTransition('open');
+                this.instantTransition = false;
+                return true;
+            }
+            
+            // Set open attribute for semantic elements
+            if (this.isSemanticHTML) {
+                this.element.setAttribute('open', '');
+            }
+            this.handleOpen();
+            this.instantTransition = false;
+            return true;
+        }
+
+        handleOpen() {
+            this.setPanelHidden(false);
+            
+            if (this.needsContent()) {
+                // Lazy content animates once it has been inserted
+                this.openWithContent();
+            } else if (!this.shouldAnimate()) {
+                // No animation for reduced motion or instant changes
+                this.animator.jump(true);
+                this.completeTransition('open');
+            } else {
+                this.animator.animate(true, { onComplete: () => this.finishOpen() });
+            }
+
+            const { enabled, delay } = this.getOptions('scrollToView');
+            // Linked items open alongside the one being looked at
+            if (enabled && !this.accordion.isInitialLoad && this.lastSource !== 'print' && this.lastSource !== 'sync') {
+                // Scroll once the panel has its final height
+                this.whenSettled().then(() => {
+                    setTimeout(() => {
+                        if (this.isOpen) this.scrollIntoView();
+                    }, (delay || 0) * 1000);
+                });
+            }
+        }
+
+        needsContent() {
+            if (this.contentState === 'loaded') return false;
+            return Boolean(this.contentSrc || this.accordion.options.loadContent);
+        }
+
+        loadContent() {
+            // Cached (or in-flight) loads are shared
+            if (this.contentPromise) return this.contentPromise;
+
+            const loader = this.accordion.options.loadContent || fetchItemContent;
+            this.contentState = 'loading';
+            this.showContentStatus('loading');
+            this.dispatch('loadstart', this.lastSource);
+
+            this.contentPromise = Promise.resolve()
+                .then(() => loader(this))
+                .then(content => {
+                    this.loadingHeight = this.body.offsetHeight;
+                    this.insertContent(content);
+                    this.contentState = 'loaded';
+                    this.dispatch('load', this.lastSource, false, { content });
+                })
+                .catch(error => {
+                    // Forget the failed attempt so it can be retried
+                    this.contentState = 'error';
+                    this.contentPromise = null;
+                    this.showContentStatus('error');
+                    this.dispatch('loaderror', this.lastSource, false, { error });
+                    throw error;
+                });
+
+            return this.contentPromise;
+        }
+
+        openWithContent() {
+            // Already waiting for this content
+            if (this.contentState === 'loading') return;
+
+            // Show the loading state while the panel waits for its content
+            this.body.style.height = 'auto';
+
+            // Instant opens (printing, breakpoints) reveal their content instantly too
+            const instant = this.instantTransition;
+            this.loadContent().then(() => {
+                if (this.isOpen) this.revealContent(this.loadingHeight, instant);
+            }, () => {
+                // The error state is shown inside the panel instead
+                if (this.isOpen) this.completeTransition('open');
+            });
+        }
+
+        revealContent(fromHeight, instant = false) {
+            if (instant || !this.shouldAnimate()) {
+                this.animator.jump(true);
+                this.completeTransition('open');
+                return;
+            }
+
+            this.animator.animate(true, { from: fromHeight, onComplete: () => this.finishOpen() });
+        }
+
+        insertContent(content) {
+            this.removeContentStatus();
+            if (content === null || content === undefined) return;
+
+            // Keep schema microdata wrapping intact
+            const target = this.schemaTextWrapper || this.body;
+            if (typeof content === 'string') {
+                target.insertAdjacentHTML('beforeend', content);
+            } else {
+                target.appendChild(content);
+            }
+        }
+
+        showContentStatus(state) {
+            const { loadingText, errorText, retryText } = this.accordion.options.lazyContent;
+            this.removeContentStatus();
+
+            const status = document.createElement('div');
+            status.setAttribute('data-acc-status', state);
+
+            if (state === 'loading') {
+                status.textContent = loadingText;
+                this.body.setAttribute('aria-busy', 'true');
+            } else {
+                status.setAttribute('role', 'alert');
+                status.textContent = errorText;
+
+                const retryButton = document.createElement('button');
+                retryButton.type = 'button';
+                retryButton.textContent = retryText;
+                retryButton.addEventListener('click', () => {
+                    if (this.isOpen) this.openWithContent();
+                });
+                status.appendChild(document.createTextNode(' '));
+                status.appendChild(retryButton);
+            }
+
+            this.body.appendChild(status);
+            this.statusElement = status;
+        }
+
+        removeContentStatus() {
+            this.body.removeAttribute('aria-busy');
+            if (this.statusElement) {
+                this.statusElement.remove();
+                this.statusElement = null;
+            }
+        }
+
+        close(source = 'api', { instant = false } = {}) {
+            // Items are forced open while the accordion is disabled, and locked while they are.
+            // Printing puts back locked items it opened.
+            const unlocked = source === 'breakpoint' || (source === 'print' && !this.accordion.isDisabled);
+            if ((this.accordion.isDisabled || this.isDisabled) && !unlocked) return false;
+
+            // The last items can't be closed under minOpen
+            if (!this.accordion.canClose(source)) return false;
+
+            // Give listeners a chance to cancel
+            if (!this.dispatch('beforeclose', source, true)) return false;
+            this.instantTransition = instant;
+
+            this.isOpen = false;
+            this.removeActiveClasses();
+            this.beginTransition('close', source);
+            this.accordion.persistState();
+            
+            // Close nested items if enabled (after printing, nested accordions restore themselves)
+            if (this.accordion.options.interactions.closeNestedOnParentClose && source !== 'print') {
+                this.closeNestedItems();
+            }
+
+            if (this.accordion.mode === 'tabs') {
+                this.updateTabState();
+                this.completeTransition('close');
+                this.instantTransition = false;
+                return true;
+            }
+            
+            if (!this.shouldAnimate()) {
+                // No animation for reduced motion or instant changes
+                this.animator.jump(false);
+                if (this.isSemanticHTML) {
+                    this.element.removeAttribute('open');
+                }
+                this.setPanelHidden(true);
+                this.completeTransition('close');
+            } else {
+                // Interrupts a running open (or content reveal) from its current height
+                this.animator.animate(false, { onComplete: () => this.finishClose() });
+            }
+            this.instantTransition = false;
+            return true;
+        }
+
+        scrollIntoView(overrides = {}) {
+            const settings = { ...this.getOptions('scrollToView'), ...overrides };
+            const target = this.getAnchorElement();
+            const container = getScrollContainer(target, settings.container);
+            const rect = target.getBoundingClientRect();
+
+            // Visible area of the scroller, minus whatever is stuck over its top edge
+            let top = 0;
+            let bottom = window.innerHeight || document.documentElement.clientHeight;
+            if (container) {
+                const bounds = container.getBoundingClientRect();
+                top = bounds.top + container.clientTop;
+                bottom = top + container.clientHeight;
+            }
+            top += resolveScrollOffset(settings.offset, this);
+
+            if (settings.onlyIfNeeded && rect.top >= top && rect.bottom <= bottom) return;
+
+            let delta;
+            if (settings.block === 'center') {
+                delta = rect.top + rect.height / 2 - (top + bottom) / 2;
+            } else if (settings.block === 'end') {
+                delta = rect.bottom - bottom;
+            } else if (settings.block === 'nearest') {
+                if (rect.top < top || rect.height > bottom - top) delta = rect.top - top;
+                else if (rect.bottom > bottom) delta = rect.bottom - bottom;
+                else delta = 0;
+            } else {
+                delta = rect.top - top;
+            }
+            if (!delta) return;
+
+            const reduceMotion = this.accordion.prefersReducedMotion &&
+                this.accordion.options.animation.respectMotionPreference;
+            (container || window).scrollBy({
+                top: delta,
+                behavior: reduceMotion ? 'auto' : settings.behavior
+            });
+        }
+
+        getLink() {
+            // Ancestors come first so nested items open along their path
+            const ids = [...getAncestors(this), this].map(item => {
+                if (!item.element.id) {
+                    item.element.id = item.generateUniqueId();
+                }
+                return item.element.id;
+            });
+            const url = new URL(window.location.href);
+            url.hash = buildDeepLinkHash(ids);
+            return url.href;
+        }
+
+        copyLink(source = 'api') {
+            const url = this.getLink();
+            if (!navigator.clipboard) {
+                return Promise.reject(new Error('The Clipboard API is not available.'));
+            }
+            return navigator.clipboard.writeText(url).then(() => {
+                this.dispatch('linkcopy', source, false, { url });
+                return url;
+            });
+        }
+
+        generateUniqueId() {
+            // If element already has an ID, validate it's unique and return it
+            if (this.element.id) {
+                const existingId = this.element.id;
+                // Check if the existing ID is actually unique in the document
+                const elementsWithSameId = document.querySelectorAll(`#${CSS.escape(existingId)}`);
+                if (elementsWithSameId.length === 1) {
+                    // ID is unique, use it
+                    return existingId;
+                }
+                // If not unique, we'll generate a new one based on the existing ID
+                let baseId = existingId;
+                let counter = 1;
+                let uniqueId = `${baseId}-${counter}`;
+                
+                while (document.getElementById(uniqueId)) {
+                    counter++;
+                    uniqueId = `${baseId}-${counter}`;
+                }
+                
+                return uniqueId;
+            }
+
+            // Generate ID from header text content if available
+            const headerText = this.header ? getHeaderText(this.header, this.accordion.options) : '';
+            let baseId = 'accordion-item';
+            
+            if (headerText) {
+                baseId = headerText
+                    .toLowerCase()
+                    .replace(/[^a-z0-9\s-]/g, '') // Remove special characters
+                    .replace(/\s+/g, '-') // Replace spaces with hyphens
+                    .replace(/-+/g, '-') // Replace multiple hyphens with single
+                    .replace(/^-|-$/g, '') // Remove leading/trailing hyphens
+                    .substring(0, 50); // Limit length
+                
+                // Fallback if cleaning resulted in empty string
+                if (!baseId) {
+                    baseId = 'accordion-item';
+                }
+            }
+            
+            // Ensure uniqueness by checking existing IDs
+            let uniqueId = baseId;
+            let counter = 1;
+            
+            while (document.getElementById(uniqueId)) {
+                uniqueId = `${baseId}-${counter}`;
+                counter++;
+            }
+            
+            return uniqueId;
+        }
+
+        setupSchema() {
+            this.element.setAttribute('itemscope', '');
+            this.element.setAttribute('itemtype', 'https://schema.org/Question');
+            this.header.setAttribute('itemprop', 'name');
+            
+            // Create wrapper for existing content
+            const bodyContent = this.body.children;
+            const answerWrapper = document.createElement('div');
+            answerWrapper.setAttribute('itemscope', '');
+            answerWrapper.setAttribute('itemprop', 'acceptedAnswer');
+            answerWrapper.setAttribute('itemtype', 'https://schema.org/Answer');
+            
+            const textWrapper = document.createElement('div');
+            textWrapper.setAttribute('itemprop', 'text');
+            
+            // Move all existing content into the new wrappers
+            while (bodyContent.length > 0) {
+                textWrapper.appendChild(bodyContent[0]);
+            }
+            
+            answerWrapper.appendChild(textWrapper);
+            this.body.appendChild(answerWrapper);
+
+            this.schemaWrapper = answerWrapper;
+            this.schemaTextWrapper = textWrapper;
+        }
+
+        removeSchema() {
+            this.element.removeAttribute('itemscope');
+            this.element.removeAttribute('itemtype');
+            this.header.removeAttribute('itemprop');
+
+            if (!this.schemaWrapper) return;
+
+            // Move content back out of the wrappers
+            while (this.schemaTextWrapper.firstChild) {
+                this.body.insertBefore(this.schemaTextWrapper.firstChild, this.schemaWrapper);
+            }
+            this.schemaWrapper.remove();
+            this.schemaWrapper = null;
+            this.schemaTextWrapper = null;
+        }
+
+        refreshScrollTrigger() {
+            scheduleScrollTriggerRefresh();
+        }
+
+        addActiveClasses() {
+            const { activeClass } = this.accordion.options;
+            this.element.classList.add(activeClass);
+            if (this.header) this.header.classList.add(activeClass);
+            if (this.icon) this.icon.classList.add(activeClass);
+            this.updateExpandedState();
+        }
+
+        removeActiveClasses() {
+            const { activeClass } = this.accordion.options;
+            this.element.classList.remove(activeClass);
+            if (this.header) this.header.classList.remove(activeClass);
+            if (this.icon) this.icon.classList.remove(activeClass);
+            this.updateExpandedState();
+        }
+
+        updateExpandedState() {
+            // <details> exposes its own state, and tabs use aria-selected instead
+            if (this.isSemanticHTML || this.headerMarker) return;
+            this.header.setAttribute('aria-expanded', String(this.isOpen));
+        }
+
+        closeNestedItems() {
+            // Find all nested accordion containers within this item's body
+            const nestedContainers = this.body.querySelectorAll(this.accordion.options.containerSelector);
+            
+            nestedContainers.forEach(container => {
+                // Find the accordion instance for this container
+                const nestedAccordion = findAccordionByElement(container);
+                
+                if (nestedAccordion) {
+                    // Close all open items in the nested accordion
+                    nestedAccordion.items.forEach(nestedItem => {
+                        if (nestedItem.isOpen) {
+                            nestedItem.close('nested');
+                        }
+                    });
+                }
+            });
+        }
+
+        destroy() {
+            this.unbindEvents();
+            this.attributeObserver.disconnect();
+            this.header.removeAttribute('aria-disabled');
+
+            unobservePanel(this);
+            this.animator.cancel();
+            this.removeContentStatus();
+            this.setPanelHidden(false);
+            this.pendingTransition = null;
+            this.settle();
+
+            this.removeActiveClasses();
+            this.removeAria();
+            if (this.usesMicrodata) {
+                this.removeSchema();
+            }
+
+            // Strip inline styles so native <details> behavior takes over
+            this.body.style.removeProperty('height');
+            this.body.style.removeProperty('overflow');
+            if (!this.body.getAttribute('style')) {
+                this.body.removeAttribute('style');
+            }
+        }
+    }
+
+    class Accordion {
+        constructor(element, options = {}) {
+            this.element = element;
+            this.isInitialLoad = true;
+            
+            // Parse attributes from the accordion container
+            this.parseContainerAttributes();
+            
+            // Merge options; nested containers created later get the same ones
+            this.userOptions = options;
+            this.options = this.mergeOptions(defaultOptions, options);
+
+            // Engine used to animate the panels
+            this.createAnimator = resolveAnimator(this.options.animation.engine);
+
+            // Media query overrides on top of the merged options
+            this.baseOptions = this.options;
+            this.isDisabled = false;
+            this.mode = 'accordion';
+            this.drag = null;
+            this.setupBreakpoints();
+            
+            // Centralized motion preference
+            this.prefersReducedMotion = false;
+            this.handleMotionChange = (event) => {
+                this.prefersReducedMotion = event.matches;
+            };
+            try {
+                this.motionMediaQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+                this.prefersReducedMotion = this.motionMediaQuery.matches;
+                addMediaListener(this.motionMediaQuery, this.handleMotionChange);
+            } catch (error) {
+                this.motionMediaQuery = null;
+                this.prefersReducedMotion = false;
+            }
+            
+            // Add FAQ schema markup to container if enabled
+            if (this.getSchemaFormat() === 'microdata') {
+                element.setAttribute('itemscope', '');
+                element.setAttribute('itemtype', 'https://schema.org/FAQPage');
+            }
+            
+            // Register this accordion instance globally
+            accordionRegistry.push(this);
+            
+            this.initialize();
+        }
+
+        parseContainerAttributes() {
+            // Parse container-level configuration from data attributes
+            this.containerConfig = {};
+            
+            const attrs = this.element.attributes;
+            for (let i = 0; i < attrs.length; i++) {
+                const attr = attrs[i];
+                if (attr.name.startsWith('data-acc-')) {
+                    const key = attr.name.replace('data-acc-', '');
+                    
+                    // Handle different attribute types
+                    let value;
+                    if (['duration', 'open-duration', 'close-duration', 'scroll-delay', 'hover-delay', 'hover-close-delay'].includes(key)) {
+                        value = parseTimeValue(attr.value);
+                    } else if (key === 'scroll-offset') {
+                        // A pixel count or a selector for a sticky header
+                        value = isNaN(Number(attr.value)) ? attr.value : Number(attr.value);
+                    } else if (key === 'icon-rotation' || key === 'hover-velocity') {
+                        value = parseFloat(attr.value) || 0;
+                    } else if (key === 'min-open' || key === 'max-open') {
+                        value = parseInt(attr.value, 10) || 0;
+                    } else if (key === 'breakpoints') {
+                        try {
+                            value = JSON.parse(attr.value);
+                        } catch (error) {
+                            console.warn('Invalid JSON in data-acc-breakpoints ignored');
+                            value = null;
+                        }
+                    } else if (this.isBooleanAttribute(key)) {
+                        value = parseBooleanAttribute(this.element, attr.name);
+                    } else {
+                        value = attr.value; // String values like ease
+                    }
+                    
+                    this.containerConfig[key] = value;
+                }
+            }
+        }
+
+        isBooleanAttribute(key) {
+            const booleanAttributes = [
+                'single-open', 'open-first', 'open-on-hover', 
+                'close-on-second-click', 'close-nested-on-parent-close',
+                'respect-motion', 'scroll-into-view', 'schema', 'schema-merge',
+                'keyboard', 'keyboard-wrap', 'find-in-page', 'close-on-leave', 'hover-focus', 'reorderable',
+                'scroll-if-needed', 'print-expand', 'announce', 'focus-on-hash', 'region'
+            ];
+            return booleanAttributes.includes(key);
+        }
+
+
+        mergeOptions(defaults, options) {
+            // Start from defaults with structured merge
+            const merged = {
+                ...defaults,
+                animation: { ...defaults.animation },
+                interactions: { ...defaults.interactions },
+                hover: { ...defaults.hover },
+                schema: { ...defaults.schema },
+                scrollToView: { ...defaults.scrollToView },
+                print: { ...defaults.print },
+                accessibility: { ...defaults.accessibility },
+                lazyContent: { ...defaults.lazyContent },
+                search: { ...defaults.search },
+                messages: { ...defaults.messages },
+                template: { ...defaults.template }
+            };
+
+            // Map kebab-case keys from new data-acc-* attributes to nested option paths
+            const attributeMapping = {
+                // Animation options
+                'duration': ['animation', 'duration'],
+                'ease': ['animation', 'ease'],
+                'open-duration': ['animation', 'openDuration'],
+                'close-duration': ['animation', 'closeDuration'],
+                'open-ease': ['animation', 'openEase'],
+                'close-ease': ['animation', 'closeEase'],
+                'preset': ['animation', 'preset'],
+                'icon-rotation': ['animation', 'iconRotation'],
+                'respect-motion': ['animation', 'respectMotionPreference'],
+                'engine': ['animation', 'engine'],
+                
+                // Interaction options  
+                'single-open': ['interactions', 'singleOpen'],
+                'open-first': ['interactions', 'openFirstItem'],
+                'open-on-hover': ['interactions', 'openOnHover'],
+                'close-on-second-click': ['interactions', 'closeOnSecondClick'],
+                'close-nested-on-parent-close': ['interactions', 'closeNestedOnParentClose'],
+                'find-in-page': ['interactions', 'findInPage'],
+                'keyboard': ['interactions', 'keyboardNavigation'],
+                'keyboard-wrap': ['interactions', 'keyboardWrap'],
+                'reorderable': ['interactions', 'reorderable'],
+                'min-open': ['interactions', 'minOpen'],
+                'max-open': ['interactions', 'maxOpen'],
+                'group': ['interactions', 'group'],
+                'sync': ['interactions', 'sync'],
+                
+                // Hover options
+                'hover-delay': ['hover', 'openDelay'],
+                'hover-close-delay': ['hover', 'closeDelay'],
+                'hover-velocity': ['hover', 'velocityThreshold'],
+                'close-on-leave': ['hover', 'closeOnLeave'],
+                'hover-focus': ['hover', 'focus'],
+                
+                // Scroll options
+                'scroll-into-view': ['scrollToView', 'enabled'],
+                'scroll-delay': ['scrollToView', 'delay'],
+                'scroll-offset': ['scrollToView', 'offset'],
+                'scroll-block': ['scrollToView', 'block'],
+                'scroll-behavior': ['scrollToView', 'behavior'],
+                'scroll-if-needed': ['scrollToView', 'onlyIfNeeded'],
+                'scroll-container': ['scrollToView', 'container'],
+
+                // Printing
+                'print-expand': ['print', 'expandAll'],
+
+                // Accessibility
+                'announce': ['accessibility', 'announce'],
+                'focus-on-hash': ['accessibility', 'focusOnHash'],
+                'region': ['accessibility', 'regionRole'],
+                
+                // Schema
+                'schema': ['schema', 'enabled'],
+                'schema-format': ['schema', 'format'],
+                'schema-merge': ['schema', 'merge'],
+
+                // Persistence
+                'persist': ['persist'],
+                'deep-link': ['deepLink'],
+
+                // Search
+                'search': ['search', 'input'],
+
+                // Responsive overrides
+                'breakpoints': ['breakpoints'],
+
+                // Display mode
+                'mode': ['mode']
+            };
+
+            // Apply container attributes using new mapping
+            Object.keys(this.containerConfig).forEach(key => {
+                if (attributeMapping[key]) {
+                    const path = attributeMapping[key];
+                    let current = merged;
+                    for (let i = 0; i < path.length - 1; i++) {
+                        if (!current[path[i]]) current[path[i]] = {};
+                        current = current[path[i]];
+                    }
+                    current[path[path.length - 1]] = this.containerConfig[key];
+                } else {
+                    // Unknown attribute, ignore (as per schema spec)
+                    console.warn(`Unknown data-acc-${key} attribute ignored`);
+                }
+            });
+
+            // Apply passed options with shallow per-section merges
+            const result = { ...merged };
+            const sections = ['animation', 'interactions', 'hover', 'schema', 'scrollToView', 'print', 'accessibility', 'lazyContent', 'search', 'messages', 'template'];
+            sections.forEach((section) => {
+                result[section] = { ...merged[section], ...(options[section] || {}) };
+            });
+            Object.keys(options).forEach((key) => {
+                if (!sections.includes(key)) {
+                    result[key] = options[key];
+                }
+            });
+
+            return result;
+        }
+
+        getItemElements() {
+            // Only items whose nearest container is this one (skip nested accordions)
+            const allItems = this.element.querySelectorAll(this.options.itemSelector);
+            return Array.from(allItems).filter((item) => {
+                const nearestContainer = item.closest(this.options.containerSelector);
+                return nearestContainer === this.element;
+            });
+        }
+
+        initialize() {
+            // Load persisted state so items can restore it while they set up
+            this.persistAdapter = this.getPersistAdapter();
+            this.persistedIds = this.persistAdapter ? this.persistAdapter.get(this.element.id) : null;
+            if (!Array.isArray(this.persistedIds)) {
+                this.persistedIds = null;
+            }
+
+            this.items = this.getItemElements().map(item => new AccordionItem(item, this));
+            
+            // Open first item if option is enabled and no items are already set to start open
+            if (this.options.interactions.openFirstItem && this.items.length > 0 && !this.persistedIds) {
+                const hasItemsSetToStartOpen = this.items.some(item => item.startOpen);
+                if (!hasItemsSetToStartOpen) {
+                    // Open the first item
+                    this.items[0].startOpen = true;
+                    this.items[0].setInitialState();
+                }
+            }
+
+            // Open further items until minOpen is met (counting the group's containers set up so far)
+            const missing = this.getOpenLimits().min - this.getGroupOpenItems().length;
+            if (missing > 0) {
+                this.items.filter(item => !item.isOpen && !item.isDisabled).slice(0, missing).forEach(item => {
+                    item.startOpen = true;
+                    item.setInitialState();
+                });
+            }
+            
+            // Bind an optional search field
+            this.bindSearchInput();
+
+            if (this.getSchemaFormat() === 'jsonld') {
+                this.setupJsonLd();
+            }
+
+            // Apply breakpoint modes that need items (e.g. disabled)
+            this.applyBreakpoints();
+
+            // Write back the restored state, dropping ids that no longer exist
+            if (this.persistedIds) {
+                this.persistedIds = null;
+                this.persistState();
+            }
+
+            this.assignStableIds();
+
+            // Schedule hash navigation check after all accordions are likely initialized
+            scheduleHashNavigation();
+            
+            // Mark as initialized
+            this.initialLoadTimer = setTimeout(() => {
+                this.isInitialLoad = false;
+            }, 100);
+        }
+
+        setupBreakpoints() {
+            const breakpoints = this.options.breakpoints || {};
+            this.handleBreakpointChange = () => this.applyBreakpoints();
+
+            this.breakpointQueries = Object.keys(breakpoints).map(query => {
+                const overrides = breakpoints[query] || {};
+                Object.keys(overrides).forEach(key => {
+                    if (key !== 'disabled' && key !== 'mode' && !breakpointOptionPaths[key]) {
+                        console.warn(`Unknown breakpoint option "${key}" ignored`);
+                    }
+                });
+
+                try {
+                    const mediaQuery = window.matchMedia(query);
+                    addMediaListener(mediaQuery, this.handleBreakpointChange);
+                    return { mediaQuery, overrides };
+                } catch (error) {
+                    console.warn(`Invalid breakpoint query "${query}" ignored`);
+                    return null;
+                }
+            }).filter(Boolean);
+
+            this.applyBreakpoints();
+        }
+
+        applyBreakpoints() {
+            const base = this.baseOptions;
+            const options = {
+                ...base,
+                animation: { ...base.animation },
+                interactions: { ...base.interactions }
+            };
+            let disabled = false;
+
+            // Later matching queries win
+            this.breakpointQueries.forEach(({ mediaQuery, overrides }) => {
+                if (!mediaQuery.matches) return;
+                Object.keys(overrides).forEach(key => {
+                    if (key === 'disabled') {
+                        disabled = Boolean(overrides[key]);
+                        return;
+                    }
+                    if (key === 'mode') {
+                        options.mode = overrides[key];
+                        return;
+                    }
+                    const path = breakpointOptionPaths[key];
+                    if (!path) return;
+
+                    const value = key === 'duration' && typeof overrides[key] === 'string'
+                        ? parseTimeValue(overrides[key])
+                        : overrides[key];
+                    options[path[0]][path[1]] = value;
+                });
+            });
+
+            // Engines read duration and ease on every run, so nothing needs rebuilding
+            this.options = options;
+
+            // Items only exist once initialize() has run
+            if (!this.items) return;
+
+            this.setMode(options.mode);
+            this.setDisabled(disabled);
+        }
+
+        setMode(mode) {
+            const nextMode = mode === 'tabs' ? 'tabs' : 'accordion';
+            if (nextMode === this.mode) return;
+
+            if (this.mode === 'tabs') {
+                this.teardownTabs();
+            } else if (this.filterSnapshot) {
+                // Put filtered-out items back before their headers move into the tablist
+                clearHighlights(this.element);
+                this.clearFilter(this.getFilterItems(), { instant: true });
+            }
+            this.mode = nextMode;
+            if (nextMode === 'tabs') {
+                this.setupTabs();
+            }
+
+            this.element.dispatchEvent(new CustomEvent(`${EVENT_PREFIX}modechange`, {
+                bubbles: true,
+                detail: { accordion: this, mode: nextMode }
+            }));
+        }
+
+        setupTabs() {
+            if (this.items.length === 0) return;
+
+            // Tabs show exactly one panel
+            const selected = this.items.find(item => item.isOpen) || this.items[0];
+
+            this.tablist = document.createElement('div');
+            this.tablist.setAttribute('role', 'tablist');
+            this.tablist.setAttribute('data-acc-tablist', '');
+            this.tabpanels = document.createElement('div');
+            this.tabpanels.setAttribute('data-acc-tabpanels', '');
+            this.items[0].element.before(this.tablist, this.tabpanels);
+
+            this.items.forEach(item => item.enterTabsMode(this.tablist, this.tabpanels, item === selected));
+        }
+
+        teardownTabs() {
+            if (!this.tablist) return;
+
+            this.items.forEach(item => item.leaveTabsMode());
+            this.tablist.remove();
+            this.tabpanels.remove();
+            this.tablist = null;
+            this.tabpanels = null;
+        }
+
+        setDisabled(disabled) {
+            if (disabled === this.isDisabled) return;
+            this.isDisabled = disabled;
+
+            if (disabled) {
+                // Force everything open, remembering what the user had open
+                this.openBeforeDisabled = this.getOpenItems();
+                this.items.forEach(item => {
+                    if (!item.isOpen) item.open('breakpoint', { ignoreSingleOpen: true, instant: true });
+                });
+            } else {
+                const previouslyOpen = this.openBeforeDisabled || [];
+                this.openBeforeDisabled = null;
+                this.items.forEach(item => {
+                    if (item.isOpen && !previouslyOpen.includes(item)) {
+                        item.close('breakpoint', { instant: true });
+                    }
+                });
+            }
+        }
+
+        expandForPrint() {
+            // Tabs only ever show one panel
+            if (this.printSnapshot || this.mode === 'tabs') return Promise.resolve([]);
+
+            // Remember the exact state so it can be put back afterwards
+            this.printSnapshot = new Map(this.items.map(item => [item, item.isOpen]));
+            const opened = this.items.filter(item =>
+                !item.isOpen && item.open('print', { ignoreSingleOpen: true, instant: true }));
+
+            this.element.dispatchEvent(new CustomEvent(`${EVENT_PREFIX}printexpand`, {
+                bubbles: true,
+                detail: { accordion: this, items: opened }
+            }));
+
+            // Resolve once lazy panels show their content (or error) rather than the loading text
+            const loads = this.items
+                .filter(item => item.contentState === 'loading')
+                .map(item => item.contentPromise.catch(() => {}));
+            return Promise.all(loads).then(() => this.whenSettled()).then(() => opened);
+        }
+
+        restoreAfterPrint() {
+            const snapshot = this.printSnapshot;
+            if (!snapshot) return Promise.resolve([]);
+            this.printSnapshot = null;
+
+            const restored = this.items.filter(item => {
+                if (!snapshot.has(item) || snapshot.get(item) === item.isOpen) return false;
+                return snapshot.get(item)
+                    ? item.open('print', { ignoreSingleOpen: true, instant: true })
+                    : item.close('print', { instant: true });
+            });
+
+            this.element.dispatchEvent(new CustomEvent(`${EVENT_PREFIX}printrestore`, {
+                bubbles: true,
+                detail: { accordion: this, items: restored }
+            }));
+            return this.whenSettled().then(() => restored);
+        }
+
+        getDeepLinkMode() {
+            const { deepLink } = this.options;
+            // A bare data-acc-deep-link attribute means 'replace'
+            if (deepLink === true || deepLink === '' || deepLink === 'replace') return 'replace';
+            if (deepLink === 'push') return 'push';
+            return null;
+        }
+
+        assignStableIds() {
+            // Slugs from the header text, assigned in document order so shared links and saved
+            // state point at the same items on the next page load
+            if (!this.getDeepLinkMode() && !this.persistAdapter) return;
+            this.items.forEach(item => {
+                if (!item.element.id) {
+                    item.element.id = item.generateUniqueId();
+                }
+            });
+        }
+
+        getPersistAdapter() {
+            const { persist } = this.options;
+            if (!persist) return null;
+
+            if (!this.element.id) {
+                console.warn('HybridAccordion persist option requires the container to have an id.');
+                return null;
+            }
+            if (typeof persist === 'object') {
+                return persist;
+            }
+            if (!persistAdapters[persist]) {
+                console.warn(`Unknown persist mode "${persist}" ignored`);
+                return null;
+            }
+            return persistAdapters[persist];
+        }
+
+        persistState() {
+            // Items opened by a search, printing or a disabled breakpoint aren't the user's own state
+            if (!this.persistAdapter || !this.items || this.filterSnapshot || this.printSnapshot || this.isDisabled) return;
+
+            const openIds = this.getOpenItems().map(item => {
+                if (!item.element.id) {
+                    item.element.id = item.generateUniqueId();
+                }
+                return item.element.id;
+            });
+            this.persistAdapter.set(this.element.id, openIds);
+        }
+
+        resolveItem(target) {
+            if (target instanceof AccordionItem) {
+                return this.items.includes(target) ? target : null;
+            }
+            if (typeof target === 'number') {
+                return this.items[target] || null;
+            }
+            if (typeof target === 'string') {
+                const id = target.replace(/^#/, '');
+                return this.items.find(item => item.element.id === id) || null;
+            }
+            if (target instanceof Element) {
+                return this.items.find(item => item.element === target || item.element.contains(target)) || null;
+            }
+            return null;
+        }
+
+        whenSettled(items = this.items) {
+            return Promise.all(items.map(item => item.whenSettled()));
+        }
+
+        open(target, source = 'api') {
+            const item = this.resolveItem(target);
+            if (!item) return Promise.resolve(null);
+            if (!item.isOpen) item.open(source);
+            // Wait for siblings closed by single-open mode as well
+            return this.whenSettled().then(() => item);
+        }
+
+        close(target, source = 'api') {
+            const item = this.resolveItem(target);
+            if (!item) return Promise.resolve(null);
+            if (item.isOpen) item.close(source);
+            return this.whenSettled().then(() => item);
+        }
+
+        toggle(target, source = 'api') {
+            const item = this.resolveItem(target);
+            if (!item) return Promise.resolve(null);
+            return item.isOpen ? this.close(item, source) : this.open(item, source);
+        }
+
+        openAll(source = 'api') {
+            // Expanding everything intentionally bypasses single-open mode
+            this.items.forEach(item => {
+                if (!item.isOpen) item.open(source, { ignoreSingleOpen: true });
+            });
+            return this.whenSettled().then(() => this.getOpenItems());
+        }
+
+        closeAll(source = 'api') {
+            // Least recently opened first, so minOpen keeps the latest ones
+            const accordions = this.getGroupAccordions();
+            this.getGroupOpenItems()
+                .sort((a, b) => a.openedAt - b.openedAt)
+                .forEach(item => item.close(source));
+            return Promise.all(accordions.map(accordion => accordion.whenSettled()))
+                .then(() => this.getGroupOpenItems());
+        }
+
+        getAdjacentItem(fromItem, key) {
+            // Items are already scoped to this container, so nested levels stay separate
+            const items = this.items.filter(item => !item.element.hidden);
+            const index = items.indexOf(fromItem);
+            const last = items.length - 1;
+            const wrap = this.options.interactions.keyboardWrap;
+            if (index === -1) return null;
+
+            switch (key) {
+                case 'ArrowDown':
+                    return index < last ? items[index + 1] : (wrap ? items[0] : null);
+                case 'ArrowUp':
+                    return index > 0 ? items[index - 1] : (wrap ? items[last] : null);
+                case 'Home':
+                    return items[0];
+                case 'End':
+                    return items[last];
+                default:
+                    return null;
+            }
+        }
+
+        bindSearchInput() {
+            const { input } = this.options.search;
+            this.searchInput = typeof input === 'string' ? document.querySelector(input) : input;
+            if (!this.searchInput) return;
+
+            this.handleSearchInput = () => this.filter(this.searchInput.value);
+            this.searchInput.addEventListener('input', this.handleSearchInput);
+        }
+
+        filter(query = '') {
+            // Tab headers live outside the items, so hiding items would leave them behind
+            if (this.mode === 'tabs') return Promise.resolve([]);
+
+            const normalizedQuery = query.trim().toLowerCase();
+            const { noResultsSelector } = this.options.search;
+
+            const allItems = this.getFilterItems();
+
+            clearHighlights(this.element);
+
+            if (!normalizedQuery) {
+                return this.clearFilter(allItems);
+            }
+
+            // Remember what was open so clearing the query restores it
+            if (!this.filterSnapshot) {
+                this.filterSnapshot = new Map(allItems.map(item => [item, item.isOpen]));
+            }
+
+            const visibleItems = new Set();
+            const itemsToOpen = new Set();
+            const matches = allItems.filter(item => {
+                const headerMatch = item.header.textContent.toLowerCase().includes(normalizedQuery);
+                const bodyMatch = item.body.textContent.toLowerCase().includes(normalizedQuery);
+                if (!headerMatch && !bodyMatch) return false;
+
+                visibleItems.add(item);
+                if (bodyMatch) itemsToOpen.add(item);
+
+                // Keep the path down to a nested match visible and open
+                getAncestors(item).forEach(ancestor => {
+                    if (allItems.includes(ancestor)) {
+                        visibleItems.add(ancestor);
+                        itemsToOpen.add(ancestor);
+                    }
+                });
+                return true;
+            });
+
+            allItems.forEach(item => {
+                item.element.hidden = !visibleItems.has(item);
+                if (itemsToOpen.has(item)) {
+                    if (!item.isOpen) item.open('filter', { ignoreSingleOpen: true });
+                } else if (item.isOpen) {
+                    item.close('filter');
+                }
+            });
+
+            highlightMatches(this.element, normalizedQuery, noResultsSelector);
+
+            const noResults = this.element.querySelector(noResultsSelector);
+            if (noResults) {
+                noResults.hidden = matches.length > 0;
+            }
+
+            return Promise.all(allItems.map(item => item.whenSettled())).then(() => matches);
+        }
+
+        getFilterItems() {
+            // Nested accordions are filtered together with this one
+            const accordions = accordionRegistry.filter(accordion => accordion.mode !== 'tabs' &&
+                (accordion === this || this.element.contains(accordion.element)));
+            return accordions.reduce((items, accordion) => items.concat(accordion.items), []);
+        }
+
+        clearFilter(allItems, { instant = false } = {}) {
+            const snapshot = this.filterSnapshot;
+            this.filterSnapshot = null;
+
+            const noResults = this.element.querySelector(this.options.search.noResultsSelector);
+            if (noResults) {
+                noResults.hidden = true;
+            }
+
+            allItems.forEach(item => {
+                if (item.accordion.mode !== 'tabs') item.element.hidden = false;
+                if (!snapshot || !snapshot.has(item)) return;
+
+                const wasOpen = snapshot.get(item);
+                if (wasOpen && !item.isOpen) {
+                    item.open('filter', { ignoreSingleOpen: true, instant });
+                } else if (!wasOpen && item.isOpen) {
+                    item.close('filter', { instant });
+                }
+            });
+
+            return Promise.all(allItems.map(item => item.whenSettled())).then(() => []);
+        }
+
+        getOpenItems() {
+            return this.items.filter(item => item.isOpen);
+        }
+
+        getLink(target) {
+            const item = this.resolveItem(target);
+            return item ? item.getLink() : null;
+        }
+
+        getState() {
+            return this.items.map((item, index) => ({
+                index,
+                id: item.element.id || null,
+                isOpen: item.isOpen,
+                isDisabled: item.isDisabled,
+                isAnimating: item.pendingTransition !== null
+            }));
+        }
+
+        refresh() {
+            // Rebuild tabs around the new set of items
+            const isTabs = this.mode === 'tabs';
+            if (isTabs) {
+                this.teardownTabs();
+            }
+
+            // Pick up items added to or removed from the container since init
+            const elements = this.getItemElements();
+
+            this.items.forEach(item => {
+                if (!elements.includes(item.element)) {
+                    item.destroy();
+                }
+            });
+
+            this.items = elements.map(element => {
+                const existing = this.items.find(item => item.element === element);
+                if (existing) return existing;
+
+                const item = new AccordionItem(element, this);
+                if (this.isDisabled && !item.isOpen) {
+                    item.open('breakpoint', { ignoreSingleOpen: true, instant: true });
+                }
+                return item;
+            });
+
+            if (isTabs) {
+                this.setupTabs();
+            }
+            this.assignStableIds();
+
+            return this.items;
+        }
+
+        setItems(items) {
+            // Entries are matched to existing items by id; those keep their element and open state
+            const added = [];
+            const elements = items.map(data => {
+                const existing = data.id ? this.items.find(item => item.element.id === data.id) : null;
+                if (existing) {
+                    this.updateItem(existing, data);
+                    return existing.element;
+                }
+                const element = this.createItem(data);
+                added.push({ element, data });
+                return element;
+            });
+
+            this.items.forEach(item => {
+                if (!elements.includes(item.element)) removeRendered(item.element);
+            });
+            this.placeItemElements(elements);
+            this.syncItems();
+
+            this.openAdded(added);
+            return this.items;
+        }
+
+        addItem(data, index = this.items.length) {
+            const element = this.createItem(data);
+            const elements = this.items.map(item => item.element);
+            elements.splice(Math.max(0, Math.min(index, elements.length)), 0, element);
+            this.placeItemElements(elements);
+            this.syncItems();
+
+            this.openAdded([{ element, data }]);
+            return this.resolveItem(element);
+        }
+
+        removeItem(target) {
+            const item = this.resolveItem(target);
+            if (!item) return false;
+            removeRendered(item.element);
+            this.refresh();
+            return true;
+        }
+
+        moveItem(target, index) {
+            const item = this.resolveItem(target);
+            if (!item) return null;
+
+            const elements = this.items.map(other => other.element).filter(element => element !== item.element);
+            elements.splice(Math.max(0, Math.min(index, elements.length)), 0, item.element);
+            this.placeItemElements(elements);
+            this.refresh();
+            return item;
+        }
+
+        reorderItem(target, index, source = 'api') {
+            const item = this.resolveItem(target);
+            if (!item) return null;
+
+            const oldIndex = this.items.indexOf(item);
+            const newIndex = Math.max(0, Math.min(index, this.items.length - 1));
+            if (newIndex === oldIndex) return item;
+
+            // Moving an element drops its focus
+            const hadFocus = item.header.contains(document.activeElement);
+            this.moveItem(item, newIndex);
+            if (hadFocus) item.header.focus();
+
+            item.dispatch('reorder', source, false, { oldIndex, newIndex });
+            announce(formatMessage(this.options.messages.reorderMoved, {
+                title: getHeaderText(item.header, this.options),
+                position: newIndex + 1,
+                total: this.items.length
+            }));
+            return item;
+        }
+
+        startDrag(item, event) {
+            if (this.drag || this.mode === 'tabs' || event.button !== 0) return;
+            // Snapping a running animation would leave its transition unfinished
+            if (item.animator.isAnimating()) return;
+            // Keeps the browser from selecting text or focusing the summary
+            event.preventDefault();
+
+            const element = item.element;
+            // Open panels collapse while they are dragged
+            if (item.isOpen) item.animator.jump(false);
+            const rect = element.getBoundingClientRect();
+
+            const placeholder = document.createElement('div');
+            placeholder.setAttribute('data-acc-placeholder', '');
+            placeholder.style.height = `${rect.height}px`;
+            element.before(placeholder);
+
+            this.drag = {
+                item,
+                placeholder,
+                style: element.getAttribute('style'),
+                offsetY: event.clientY - rect.top,
+                pointerY: event.clientY,
+                container: getScrollContainer(this.element, null),
+                scrollFrame: null,
+                handlers: {
+                    move: (moveEvent) => this.moveDrag(moveEvent.clientY),
+                    end: () => this.endDrag(false),
+                    cancel: () => this.endDrag(true),
+                    keydown: (keyEvent) => {
+                        if (keyEvent.key === 'Escape') this.endDrag(true);
+                    }
+                }
+            };
+
+            // The item follows the pointer above the list while the placeholder holds its place
+            element.setAttribute('data-acc-dragging', '');
+            Object.assign(element.style, {
+                position: 'fixed',
+                top: `${rect.top}px`,
+                left: `${rect.left}px`,
+                width: `${rect.width}px`,
+                zIndex: '1000',
+                pointerEvents: 'none',
+                boxSizing: 'border-box'
+            });
+
+            const { handlers } = this.drag;
+            document.addEventListener('pointermove', handlers.move);
+            document.addEventListener('pointerup', handlers.end);
+            document.addEventListener('pointercancel', handlers.cancel);
+            document.addEventListener('keydown', handlers.keydown);
+            this.autoScroll();
+        }
+
+        moveDrag(pointerY) {
+            const { item, placeholder, offsetY } = this.drag;
+            this.drag.pointerY = pointerY;
+            item.element.style.top = `${pointerY - offsetY}px`;
+
+            // The placeholder goes before the first sibling whose middle is below the pointer
+            const siblings = this.items.filter(other => other !== item && !other.element.hidden);
+            const next = siblings.find(other => {
+                const rect = other.element.getBoundingClientRect();
+                return pointerY < rect.top + rect.height / 2;
+            });
+            if (next) {
+                if (placeholder.nextElementSibling !== next.element) next.element.before(placeholder);
+            } else if (siblings.length > 0) {
+                siblings[siblings.length - 1].element.after(placeholder);
+            }
+        }
+
+        autoScroll() {
+            const edge = 40;
+            const step = () => {
+                if (!this.drag) return;
+                const { container, pointerY } = this.drag;
+                const top = container ? container.getBoundingClientRect().top : 0;
+                const bottom = container
+                    ? container.getBoundingClientRect().bottom
+                    : window.innerHeight || document.documentElement.clientHeight;
+
+                // Faster the closer the pointer gets to the edge
+                let delta = 0;
+                if (pointerY < top + edge) delta = -Math.ceil((top + edge - pointerY) / 4);
+                else if (pointerY > bottom - edge) delta = Math.ceil((pointerY - bottom + edge) / 4);
+                if (delta) {
+                    (container || window).scrollBy(0, delta);
+                    this.moveDrag(pointerY);
+                }
+                this.drag.scrollFrame = requestAnimationFrame(step);
+            };
+            if (typeof requestAnimationFrame === 'function') {
+                this.drag.scrollFrame = requestAnimationFrame(step);
+            }
+        }
+
+        endDrag(cancelled) {
+            const { item, placeholder, style, handlers, scrollFrame } = this.drag;
+            this.drag = null;
+
+            document.removeEventListener('pointermove', handlers.move);
+            document.removeEventListener('pointerup', handlers.end);
+            document.removeEventListener('pointercancel', handlers.cancel);
+            document.removeEventListener('keydown', handlers.keydown);
+            if (scrollFrame) cancelAnimationFrame(scrollFrame);
+
+            // Siblings before the placeholder give the new position
+            const newIndex = this.items.filter(other => other !== item &&
+                (other.element.compareDocumentPosition(placeholder) & Node.DOCUMENT_POSITION_FOLLOWING)).length;
+            placeholder.remove();
+
+            item.element.removeAttribute('data-acc-dragging');
+            if (style === null) {
+                item.element.removeAttribute('style');
+            } else {
+                item.element.setAttribute('style', style);
+            }
+            if (item.isOpen) item.animator.jump(true);
+
+            if (!cancelled) this.reorderItem(item, newIndex, 'pointer');
+        }
+
+        createItem(data) {
+            const element = createItemElement(data, this.options.template);
+            // Items added later open through open(), so singleOpen and maxOpen apply
+            element.removeAttribute('data-acc-open');
+            return element;
+        }
+
+        openAdded(added) {
+            added.forEach(({ element, data }) => {
+                const item = this.resolveItem(element);
+                if (data.open && item && !item.isOpen) item.open('api');
+            });
+        }
+
+        updateItem(item, data) {
+            // Only rewrite what changed since the last render
+            const previous = renderedItems.get(item.element);
+            const { template } = this.options;
+            const contentRoot = item.schemaTextWrapper || item.body;
+            const nested = getNestedContainer(item);
+
+            if (!previous || previous.title !== data.title) {
+                // The icon and other controls stay in place
+                Array.from(item.header.childNodes).forEach(node => {
+                    if (node === item.icon || (node.matches && node.matches(HEADER_CONTROL_SELECTOR))) return;
+                    node.remove();
+                });
+                // A leading drag handle stays first
+                const before = item.dragHandle && item.header.firstChild === item.dragHandle
+                    ? item.dragHandle.nextSibling
+                    : item.header.firstChild;
+                renderHeaderContent(item.header, data, template, before);
+            }
+
+            if (!previous || previous.content !== data.content) {
+                Array.from(contentRoot.childNodes).forEach(node => {
+                    if (node !== nested && node !== item.statusElement) node.remove();
+                });
+                if (contentRoot !== item.body) {
+                    // Plain text content stays outside the microdata wrapper
+                    Array.from(item.body.childNodes).forEach(node => {
+                        if (node.nodeType === Node.TEXT_NODE) node.remove();
+                    });
+                }
+                appendContent(contentRoot, data.content, nested);
+            }
+
+            if (hasChildren(data)) {
+                const nestedAccordion = nested && findAccordionByElement(nested);
+                if (nestedAccordion) {
+                    nestedAccordion.setItems(data.children);
+                } else if (!nested) {
+                    contentRoot.appendChild(createContainerElement(data.children, template));
+                }
+            } else if (nested && previous && hasChildren(previous)) {
+                removeRendered(nested);
+            }
+
+            renderedItems.set(item.element, data);
+        }
+
+        placeItemElements(elements) {
+            // Only move what is out of place, so untouched items keep focus and scroll position
+            elements.forEach((element, index) => {
+                if (index > 0) {
+                    const previous = elements[index - 1];
+                    if (previous.nextElementSibling !== element) previous.after(element);
+                    return;
+                }
+                const first = this.getItemElements()[0];
+                if (!first) {
+                    this.element.appendChild(element);
+                } else if (first !== element) {
+                    first.before(element);
+                }
+            });
+        }
+
+        syncItems() {
+            this.refresh();
+            // Containers inside new items become accordions too
+            initAccordions(this.userOptions, this.element);
+        }
+
+        destroy() {
+            if (this.drag) this.endDrag(true);
+            this.teardownTabs();
+            if (this.filterSnapshot) {
+                this.items.forEach(item => {
+                    item.element.hidden = false;
+                });
+            }
+            this.items.forEach(item => item.destroy());
+            this.items = [];
+
+            if (this.motionMediaQuery) {
+                removeMediaListener(this.motionMediaQuery, this.handleMotionChange);
+            }
+            this.breakpointQueries.forEach(({ mediaQuery }) => {
+                removeMediaListener(mediaQuery, this.handleBreakpointChange);
+            });
+            clearTimeout(this.initialLoadTimer);
+
+            if (this.searchInput) {
+                this.searchInput.removeEventListener('input', this.handleSearchInput);
+                this.searchInput = null;
+            }
+            clearHighlights(this.element);
+
+            if (this.getSchemaFormat() === 'microdata') {
+                this.element.removeAttribute('itemscope');
+                this.element.removeAttribute('itemtype');
+            }
+            if (this.schemaObserver) {
+                this.schemaObserver.disconnect();
+                this.schemaObserver = null;
+            }
+            if (this.schemaScript) {
+                this.schemaScript.remove();
+                this.schemaScript = null;
+            }
+
+            // Unregister from the global registry
+            const index = accordionRegistry.indexOf(this);
+            if (index !== -1) {
+                accordionRegistry.splice(index, 1);
+            }
+            if (accordionRegistry.length === 0 && liveRegion) {
+                pendingAnnouncements = [];
+                liveRegion.remove();
+                liveRegion = null;
+            }
+
+            if (this.getSchemaFormat() === 'jsonld' && this.options.schema.merge) {
+                scheduleMergedSchemaUpdate();
             }
         }
 
-        isBooleanAttribute(key) {
-            const booleanAttributes = [
-                'single-open', 'open-first', 'open-on-hover', 
-                'close-on-second-click', 'close-nested-on-parent-close',
-                'respect-motion', 'scroll-into-view', 'schema'
-            ];
-            return booleanAttributes.includes(key);
+        getSchemaFormat() {
+            if (!this.options.schema.enabled) return null;
+            return this.options.schema.format === 'jsonld' ? 'jsonld' : 'microdata';
         }
 
+        hasSchemaAncestor() {
+            // An enclosing JSON-LD container already lists nested items
+            return accordionRegistry.some(accordion => accordion !== this &&
+                accordion.element.contains(this.element) && accordion.getSchemaFormat() === 'jsonld');
+        }
 
-        mergeOptions(defaults, options) {
-            // Start from defaults with structured merge
-            const merged = {
-                ...defaults,
-                animation: { ...defaults.animation },
-                interactions: { ...defaults.interactions },
-                schema: { ...defaults.schema },
-                scrollToView: { ...defaults.scrollToView }
-            };
+        setupJsonLd() {
+            this.schemaScript = null;
+            this.schemaUpdateScheduled = false;
 
-            // Map kebab-case keys from new data-acc-* attributes to nested option paths
-            const attributeMapping = {
-                // Animation options
-                'duration': ['animation', 'duration'],
-                'ease': ['animation', 'ease'],
-                'respect-motion': ['animation', 'respectMotionPreference'],
-                
-                // Interaction options  
-                'single-open': ['interactions', 'singleOpen'],
-                'open-first': ['interactions', 'openFirstItem'],
-                'open-on-hover': ['interactions', 'openOnHover'],
-                'close-on-second-click': ['interactions', 'closeOnSecondClick'],
-                'close-nested-on-parent-close': ['interactions', 'closeNestedOnParentClose'],
-                
-                // Scroll options
-                'scroll-into-view': ['scrollToView', 'enabled'],
-                'scroll-delay': ['scrollToView', 'delay'],
-                
-                // Schema
-                'schema': ['schema', 'enabled']
-            };
+            // Keep the block in sync as items are added or their content changes
+            this.schemaObserver = new MutationObserver((mutations) => {
+                const hasContentChanges = mutations.some(mutation => !this.isSchemaScriptMutation(mutation));
+                if (hasContentChanges) this.scheduleSchemaUpdate();
+            });
+            this.schemaObserver.observe(this.element, { childList: true, subtree: true, characterData: true });
 
-            // Apply container attributes using new mapping
-            Object.keys(this.containerConfig).forEach(key => {
-                if (attributeMapping[key]) {
-                    const path = attributeMapping[key];
-                    let current = merged;
-                    for (let i = 0; i < path.length - 1; i++) {
-                        if (!current[path[i]]) current[path[i]] = {};
-                        current = current[path[i]];
-                    }
-                    current[path[path.length - 1]] = this.containerConfig[key];
-                } else {
-                    // Unknown attribute, ignore (as per schema spec)
-                    console.warn(`Unknown data-acc-${key} attribute ignored`);
+            this.updateSchema();
+
+            // Nested blocks created before this one are now covered by it
+            accordionRegistry.forEach(accordion => {
+                if (accordion !== this && this.element.contains(accordion.element) && accordion.schemaScript) {
+                    accordion.updateSchema();
                 }
             });
+        }
 
-            // Apply passed options with shallow per-section merges
-            const result = { ...merged };
-            const sections = ['animation', 'interactions', 'schema', 'scrollToView'];
-            sections.forEach((section) => {
-                result[section] = { ...merged[section], ...(options[section] || {}) };
-            });
-            Object.keys(options).forEach((key) => {
-                if (!sections.includes(key)) {
-                    result[key] = options[key];
+        isSchemaScriptMutation(mutation) {
+            const script = this.schemaScript;
+            if (!script) return false;
+            if (script.contains(mutation.target)) return true;
+
+            const changedNodes = [...mutation.addedNodes, ...mutation.removedNodes];
+            return mutation.type === 'childList' && changedNodes.length > 0 &&
+                changedNodes.every(node => node === script);
+        }
+
+        scheduleSchemaUpdate() {
+            if (this.schemaUpdateScheduled) return;
+            this.schemaUpdateScheduled = true;
+            setTimeout(() => {
+                this.schemaUpdateScheduled = false;
+                this.updateSchema();
+            }, 0);
+        }
+
+        updateSchema() {
+            // Tabs move headers out of their items; the last block stays valid until they return
+            if (this.mode === 'tabs') return;
+
+            if (this.options.schema.merge) {
+                scheduleMergedSchemaUpdate();
+                return;
+            }
+
+            if (this.hasSchemaAncestor()) {
+                if (this.schemaScript) {
+                    this.schemaScript.remove();
+                    this.schemaScript = null;
                 }
-            });
+                return;
+            }
 
-            return result;
+            if (!this.schemaScript) {
+                this.schemaScript = createSchemaScript();
+                this.element.appendChild(this.schemaScript);
+            }
+            writeSchemaScript(this.schemaScript, createFAQPage(buildSchemaQuestions(this.element, this.options)));
         }
 
-        // ID management is not required for semantic-only implementation
+        toJSONLD() {
+            return createFAQPage(buildSchemaQuestions(this.element, this.options));
+        }
 
-        initialize() {
-            const allItems = this.element.querySelectorAll(this.options.itemSelector);
-            const scopedItems = Array.from(allItems).filter((item) => {
-                const nearestContainer = item.closest(this.options.containerSelector);
-                return nearestContainer === this.element;
-            });
-            this.items = scopedItems.map(item => new AccordionItem(item, this));
-            
-            // Handle resize events
-            window.addEventListener('resize', () => {
-                this.items.forEach(item => {
-                    if (item.isOpen) {
-                        // Reset height to auto to accommodate content changes
-                        if (item.body.style.height !== 'auto') {
-                            item.body.style.height = 'auto';
-                        }
-                        // Clear any cached timeline since content dimensions may have changed
-                        if (item.openTimeline) {
-                            item.openTimeline.invalidate();
+        closeAllExcept(exceptItem) {
+            // Items are scoped to this container (or group), so nested accordions are left alone
+            this.getGroupAccordions().forEach(accordion => {
+                accordion.items.forEach(item => {
+                    if (item !== exceptItem && item.isOpen) {
+                        // Within a container, only siblings (same parent element) are closed
+                        if (accordion === this && item.element.parentElement !== exceptItem.element.parentElement) {
+                            return;
                         }
+                        item.close('singleOpen');
                     }
                 });
             });
-            
-            // Open first item if option is enabled and no items are already set to start open
-            if (this.options.interactions.openFirstItem && this.items.length > 0) {
-                const hasItemsSetToStartOpen = this.items.some(item => item.startOpen);
-                if (!hasItemsSetToStartOpen) {
-                    // Open the first item
-                    this.items[0].startOpen = true;
-                    this.items[0].setInitialState();
-                }
-            }
-            
-            // Schedule hash navigation check after all accordions are likely initialized
-            scheduleHashNavigation();
-            
-            // Mark as initialized
-            setTimeout(() => {
-                this.isInitialLoad = false;
-            }, 100);
         }
 
-        closeAllExcept(exceptItem) {
-            // Only close siblings within the same accordion container
-            this.items.forEach(item => {
-                if (item !== exceptItem && item.isOpen) {
-                    // Check if items are siblings (same parent accordion container)
-                    if (item.element.parentElement === exceptItem.element.parentElement) {
-                        item.close();
-                    }
-                }
+        getGroupAccordions() {
+            // Tabs always keep one panel of their own, so they stay out of groups
+            const { group } = this.options.interactions;
+            if (!group || this.mode === 'tabs') return [this];
+            return accordionRegistry.filter(accordion => accordion === this ||
+                (accordion.options.interactions.group === group && accordion.mode !== 'tabs'));
+        }
+
+        getGroupOpenItems() {
+            return this.getGroupAccordions().flatMap(accordion => accordion.getOpenItems());
+        }
+
+        getOpenLimits() {
+            const { minOpen, maxOpen } = this.options.interactions;
+            return {
+                min: Math.max(0, parseInt(minOpen, 10) || 0),
+                max: maxOpen > 0 ? maxOpen : Infinity
+            };
+        }
+
+        makeRoomFor(openingItem, source) {
+            if (openLimitExemptSources.includes(source)) return true;
+
+            const { max } = this.getOpenLimits();
+            const openItems = this.getGroupOpenItems()
+                .filter(item => item !== openingItem)
+                .sort((a, b) => a.openedAt - b.openedAt);
+
+            // Give up before closing anything when locked items alone fill the limit
+            const lockedCount = openItems.filter(item => item.isDisabled || item.accordion.isDisabled).length;
+            if (lockedCount >= max) return false;
+
+            // Items that refuse to close (disabled, cancelled) are skipped
+            let openCount = openItems.length;
+            openItems.forEach(item => {
+                if (openCount >= max && item.close('maxOpen')) openCount--;
             });
+            return openCount < max;
+        }
+
+        canClose(source) {
+            // Closing to make room for another item keeps the count the same
+            if (openLimitExemptSources.includes(source) || source === 'singleOpen' || source === 'maxOpen') return true;
+            return this.getGroupOpenItems().length > this.getOpenLimits().min;
         }
 
 
@@ -675,9 +3492,19 @@
     }
 
     // Streamlined hash processing
-    function processUrlHash() {
+    function processUrlHash(fromHistory = false) {
         const hash = window.location.hash;
-        if (!hash || hash.length <= 1) return;
+        if (!hash || hash.length <= 1) {
+            // Going back to an entry without a deep link means nothing was open there
+            if (fromHistory) applyDeepLink([]);
+            return;
+        }
+
+        const deepLinkIds = parseDeepLink(hash);
+        if (deepLinkIds) {
+            applyDeepLink(deepLinkIds);
+            return;
+        }
 
         const targetId = hash.substring(1);
         let targetItem = findItemById(targetId);
@@ -689,7 +3516,85 @@
         }
         
         if (targetItem) {
+            applyingUrlState = true;
             navigateToItem(targetItem);
+            applyingUrlState = false;
+        }
+    }
+
+    function parseDeepLink(hash) {
+        if (!hash.startsWith(`#${DEEP_LINK_PREFIX}`)) return null;
+        return hash.slice(DEEP_LINK_PREFIX.length + 1).split(',').filter(Boolean).map(segment => {
+            try {
+                return decodeURIComponent(segment);
+            } catch (error) {
+                return null; // Malformed escape sequence
+            }
+        }).filter(Boolean);
+    }
+
+    function buildDeepLinkHash(ids) {
+        return `#${DEEP_LINK_PREFIX}${ids.map(encodeURIComponent).join(',')}`;
+    }
+
+    function applyDeepLink(ids) {
+        // Items outside deep-linked accordions may not have their ids yet
+        if (!ids.every(findItemById)) {
+            generateMissingIds();
+        }
+        const targets = ids.map(findItemById).filter(Boolean);
+        applyingUrlState = true;
+
+        // Deep-linked accordions mirror the URL; other listed items (e.g. ancestors) just open
+        accordionRegistry.forEach(accordion => {
+            if (!accordion.getDeepLinkMode()) return;
+            accordion.items.forEach(item => {
+                if (item.isOpen && !ids.includes(item.element.id)) item.close('hash');
+            });
+        });
+        targets.forEach(target => {
+            [...getAncestors(target), target].forEach(item => {
+                if (!item.isOpen) item.open('hash');
+            });
+        });
+
+        applyingUrlState = false;
+        if (targets.length > 0) {
+            scrollAfterAnimations(targets[targets.length - 1]);
+        }
+    }
+
+    function scheduleDeepLinkUpdate() {
+        if (deepLinkUpdateScheduled) return;
+        deepLinkUpdateScheduled = true;
+        // Batched so a single-open swap becomes one history entry
+        setTimeout(() => {
+            deepLinkUpdateScheduled = false;
+            updateDeepLink();
+        }, 0);
+    }
+
+    function updateDeepLink() {
+        const accordions = accordionRegistry.filter(accordion => accordion.getDeepLinkMode());
+        if (accordions.length === 0) return;
+
+        const ids = accordions.reduce((all, accordion) => all.concat(accordion.getOpenItems().map(item => {
+            if (!item.element.id) {
+                item.element.id = item.generateUniqueId();
+            }
+            return item.element.id;
+        })), []);
+        const hash = ids.length > 0 ? buildDeepLinkHash(ids) : '';
+        if (hash === window.location.hash) return;
+        // Leave unrelated hashes alone when nothing is open
+        if (!hash && !parseDeepLink(window.location.hash)) return;
+
+        const url = new URL(window.location.href);
+        url.hash = hash;
+        if (accordions.some(accordion => accordion.getDeepLinkMode() === 'push')) {
+            history.pushState(null, '', url);
+        } else {
+            history.replaceState(history.state, '', url);
         }
     }
 
@@ -720,24 +3625,53 @@
         accordionRegistry.forEach(accordion => {
             accordion.items.forEach(item => {
                 if (item.isOpen && item !== targetItem && !ancestors.includes(item)) {
-                    item.close();
+                    item.close('hash');
                 }
             });
         });
         
         // Open ancestors and target
         [...ancestors, targetItem].forEach(item => {
-            if (!item.isOpen) item.open();
+            if (!item.isOpen) item.open('hash');
         });
         
-        // Smart scroll timing based on longest animation
-        const delay = Math.max(...accordionRegistry.map(acc => 
-            acc.prefersReducedMotion && acc.options.animation.respectMotionPreference ? 0 : acc.options.animation.duration * 1000
-        )) + 50;
-        
-        setTimeout(() => {
-            targetItem.element.scrollIntoView({ behavior: 'smooth', block: 'start' });
-        }, delay);
+        scrollAfterAnimations(targetItem);
+    }
+
+    function scrollAfterAnimations(targetItem) {
+        // Closing siblings move the target too, so wait for every accordion to come to rest
+        Promise.all(accordionRegistry.map(accordion => accordion.whenSettled())).then(() => {
+            if (!targetItem.isOpen) return;
+            targetItem.scrollIntoView();
+            // Keyboard and screen reader users continue from where the link pointed
+            if (targetItem.accordion.options.accessibility.focusOnHash) {
+                targetItem.header.focus({ preventScroll: true });
+            }
+        });
+    }
+
+    function resolveScrollOffset(offset, item) {
+        if (typeof offset === 'function') return Number(offset(item)) || 0;
+        if (typeof offset === 'string') {
+            // Height of a sticky header that covers the top of the scroller
+            const element = document.querySelector(offset);
+            return element ? element.offsetHeight : 0;
+        }
+        return Number(offset) || 0;
+    }
+
+    function getScrollContainer(element, container) {
+        if (container instanceof Element) return container;
+        if (typeof container === 'string') return element.closest(container) || document.querySelector(container);
+
+        // Nearest ancestor that scrolls vertically; null means the window
+        let parent = element.parentElement;
+        while (parent && parent !== document.body && parent !== document.documentElement) {
+            const { overflowY } = getComputedStyle(parent);
+            if (/auto|scroll|overlay/.test(overflowY) && parent.scrollHeight > parent.clientHeight) return parent;
+            parent = parent.parentElement;
+        }
+        return null;
     }
 
     // Simplified ancestor detection
@@ -747,10 +3681,13 @@
         
         while (element && element !== document.body) {
             // Check all accordions for an item matching this element
+            // (panels live outside their item in tabs mode)
             for (const accordion of accordionRegistry) {
-                const ancestorItem = accordion.items.find(item => item.element === element);
+                const ancestorItem = accordion.items.find(item => item.element === element || item.body === element);
                 if (ancestorItem) {
-                    ancestors.unshift(ancestorItem);
+                    if (!ancestors.includes(ancestorItem)) {
+                        ancestors.unshift(ancestorItem);
+                    }
                     break;
                 }
             }
@@ -760,10 +3697,288 @@
         return ancestors;
     }
 
+    // Data-driven rendering: [{ id, title, content, open, children }] becomes the usual markup
+    const renderedItems = new WeakMap();
+
+    function render(container, items, options = {}) {
+        const element = typeof container === 'string' ? document.querySelector(container) : container;
+        if (!element) return null;
+
+        // Rendering again updates in place
+        const existing = findAccordionByElement(element);
+        if (existing) {
+            existing.setItems(items);
+            return existing;
+        }
+
+        if (!element.matches(options.containerSelector || defaultOptions.containerSelector)) {
+            element.setAttribute('data-acc', 'container');
+        }
+        const template = { ...defaultOptions.template, ...(options.template || {}) };
+        items.forEach(data => element.appendChild(createItemElement(data, template)));
+
+        // Nested containers are initialized along with this one
+        return initAccordions(options, element)[0];
+    }
+
+    function hasChildren(data) {
+        return Array.isArray(data.children) && data.children.length > 0;
+    }
+
+    // Strings are HTML, like lazy content; nodes are inserted as they are
+    function appendContent(target, content, before = null) {
+        if (content === null || content === undefined) return;
+        if (typeof content === 'string') {
+            if (before) {
+                before.insertAdjacentHTML('beforebegin', content);
+            } else {
+                target.insertAdjacentHTML('beforeend', content);
+            }
+        } else {
+            target.insertBefore(content, before);
+        }
+    }
+
+    function renderHeaderContent(header, data, template, before = header.firstChild) {
+        // Goes before the icon and any other controls
+        if (typeof template.header === 'function') {
+            appendContent(header, template.header(data), before);
+        } else {
+            header.insertBefore(document.createTextNode(data.title || ''), before);
+        }
+    }
+
+    // Fills {placeholders} in configurable messages
+    function formatMessage(message, values) {
+        if (typeof message === 'function') return message(values);
+        return String(message).replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+    }
+
+    // One polite live region per page, shared by every accordion
+    let liveRegion = null;
+    let pendingAnnouncements = [];
+
+    function announce(message) {
+        if (!message) return;
+        // Changes made together are read out together
+        if (pendingAnnouncements.push(message) > 1) return;
+
+        // Emptying it first makes a repeated message count as new
+        getLiveRegion().textContent = '';
+        setTimeout(() => {
+            // Dropped if the last accordion was destroyed in the meantime
+            if (pendingAnnouncements.length === 0) return;
+            const text = pendingAnnouncements.join('. ');
+            pendingAnnouncements = [];
+            getLiveRegion().textContent = text;
+        }, 50);
+    }
+
+    function getLiveRegion() {
+        if (liveRegion && liveRegion.isConnected) return liveRegion;
+
+        // Visually hidden, but read by screen readers
+        liveRegion = document.createElement('div');
+        liveRegion.setAttribute('data-acc-live', '');
+        liveRegion.setAttribute('role', 'status');
+        liveRegion.setAttribute('aria-live', 'polite');
+        Object.assign(liveRegion.style, {
+            position: 'absolute',
+            width: '1px',
+            height: '1px',
+            overflow: 'hidden',
+            clip: 'rect(0 0 0 0)',
+            whiteSpace: 'nowrap'
+        });
+        document.body.appendChild(liveRegion);
+        return liveRegion;
+    }
+
+    function uniqueDocumentId(base) {
+        let id = base;
+        let counter = 1;
+        while (document.getElementById(id)) {
+            id = `${base}-${counter}`;
+            counter++;
+        }
+        return id;
+    }
+
+    function createItemElement(data, template) {
+        const element = document.createElement('details');
+        element.setAttribute('data-acc', 'item');
+        if (data.id) element.id = data.id;
+        if (data.open) element.setAttribute('data-acc-open', '');
+
+        const header = document.createElement('summary');
+        header.setAttribute('data-acc', 'header');
+        renderHeaderContent(header, data, template);
+
+        const icon = typeof template.icon === 'function' ? template.icon(data) : template.icon;
+        if (icon !== null && icon !== undefined) {
+            const iconElement = document.createElement('span');
+            iconElement.setAttribute('data-acc', 'icon');
+            appendContent(iconElement, icon);
+            header.appendChild(iconElement);
+        }
+
+        const panel = document.createElement('div');
+        panel.setAttribute('data-acc', 'panel');
+        appendContent(panel, data.content);
+        if (hasChildren(data)) {
+            panel.appendChild(createContainerElement(data.children, template));
+        }
+
+        element.append(header, panel);
+        renderedItems.set(element, data);
+        return element;
+    }
+
+    function createContainerElement(items, template) {
+        const container = document.createElement('div');
+        container.setAttribute('data-acc', 'container');
+        items.forEach(data => container.appendChild(createItemElement(data, template)));
+        return container;
+    }
+
+    // The container directly inside an item's panel, not ones nested deeper
+    function getNestedContainer(item) {
+        const { containerSelector, itemSelector } = item.accordion.options;
+        return Array.from(item.body.querySelectorAll(containerSelector))
+            .find(container => container.parentElement.closest(itemSelector) === item.element) || null;
+    }
+
+    function removeRendered(element) {
+        // Nested accordions go with the element
+        accordionRegistry
+            .filter(accordion => element.contains(accordion.element))
+            .forEach(accordion => accordion.destroy());
+        element.remove();
+    }
+
+    function findAccordionByElement(element) {
+        return accordionRegistry.find(accordion => accordion.element === element) || null;
+    }
+
+    // Look up the instance for a container, or for any element inside one
+    function get(elementOrSelector) {
+        let element = typeof elementOrSelector === 'string'
+            ? document.querySelector(elementOrSelector)
+            : elementOrSelector;
+
+        while (element) {
+            const accordion = findAccordionByElement(element);
+            if (accordion) return accordion;
+            element = element.parentElement;
+        }
+        return null;
+    }
+
+    // Build FAQPage JSON-LD from markup, e.g. in a server-side rendering pipeline
+    function toJSONLD(target = document, options = {}) {
+        if (target instanceof Accordion) {
+            return target.toJSONLD();
+        }
+
+        const root = typeof target === 'string' ? document.querySelector(target) : target;
+        const selectors = { ...defaultOptions, ...options };
+        if (!root) return createFAQPage([]);
+        return createFAQPage(buildSchemaQuestions(root, selectors));
+    }
+
     // Auto-initialize accordions
-    function initAccordions(options = {}) {
-        const accordionElements = document.querySelectorAll(options.containerSelector || defaultOptions.containerSelector);
-        return Array.from(accordionElements).map(element => new Accordion(element, options));
+    function initAccordions(options = {}, root = document) {
+        const selector = options.containerSelector || defaultOptions.containerSelector;
+        const accordionElements = Array.from(root.querySelectorAll(selector));
+        if (root.matches && root.matches(selector)) {
+            accordionElements.unshift(root);
+        }
+        // Reuse existing instances so calling this twice doesn't rebind everything
+        return accordionElements.map(element => findAccordionByElement(element) || new Accordion(element, options));
+    }
+
+    // Opt-in DOM observation for pages that swap content at runtime
+    let mutationObserver = null;
+
+    function observe(options = {}) {
+        if (mutationObserver) return mutationObserver;
+        const selector = options.containerSelector || defaultOptions.containerSelector;
+        const itemSelector = options.itemSelector || defaultOptions.itemSelector;
+
+        mutationObserver = new MutationObserver((mutations) => {
+            // Destroy accordions whose container left the document
+            accordionRegistry.slice().forEach(accordion => {
+                if (!accordion.element.isConnected) {
+                    accordion.destroy();
+                }
+            });
+
+            const touchedAccordions = new Set();
+            mutations.forEach(mutation => {
+                mutation.addedNodes.forEach(node => {
+                    if (node.nodeType === Node.ELEMENT_NODE) {
+                        initAccordions(options, node);
+                    }
+                });
+
+                // Items added to or removed from an existing container
+                const changedNodes = [...mutation.addedNodes, ...mutation.removedNodes];
+                const hasItemChanges = changedNodes.some(node => node.nodeType === Node.ELEMENT_NODE &&
+                    (node.matches(itemSelector) || node.querySelector(itemSelector)));
+                if (hasItemChanges && mutation.target.closest) {
+                    const container = mutation.target.closest(selector);
+                    const accordion = container && findAccordionByElement(container);
+                    if (accordion) touchedAccordions.add(accordion);
+                }
+            });
+            touchedAccordions.forEach(accordion => accordion.refresh());
+        });
+
+        mutationObserver.observe(document.body, { childList: true, subtree: true });
+        return mutationObserver;
+    }
+
+    function disconnect() {
+        if (!mutationObserver) return;
+        mutationObserver.disconnect();
+        mutationObserver = null;
+    }
+
+    // Opted-in accordions along with the accordions nested inside them
+    function getPrintAccordions() {
+        const optedIn = accordionRegistry.filter(accordion => accordion.options.print.expandAll);
+        return accordionRegistry.filter(accordion =>
+            optedIn.some(parent => parent.element.contains(accordion.element)));
+    }
+
+    function expandForPrint() {
+        return Promise.all(getPrintAccordions().map(accordion => accordion.expandForPrint()))
+            .then(results => results.reduce((items, opened) => items.concat(opened), []));
+    }
+
+    function restoreAfterPrint() {
+        // Every expanded accordion is restored, even if its options changed while printing
+        const expanded = accordionRegistry.filter(accordion => accordion.printSnapshot);
+        return Promise.all(expanded.map(accordion => accordion.restoreAfterPrint()))
+            .then(results => results.reduce((items, restored) => items.concat(restored), []));
+    }
+
+    function setupPrintListeners() {
+        window.addEventListener('beforeprint', () => expandForPrint());
+        window.addEventListener('afterprint', () => restoreAfterPrint());
+
+        // Headless renderers switch to print media without firing the print events
+        try {
+            window.matchMedia('print').addEventListener('change', (event) => {
+                if (event.matches) {
+                    expandForPrint();
+                } else {
+                    restoreAfterPrint();
+                }
+            });
+        } catch (error) {
+            // Print events alone still cover browser printing
+        }
     }
 
     // Initialize when DOM is ready
@@ -771,17 +3986,29 @@
         document.addEventListener('DOMContentLoaded', () => {
             initAccordions();
             setupHashChangeListener();
+            setupPrintListeners();
         });
     } else {
         initAccordions();
         setupHashChangeListener();
+        setupPrintListeners();
     }
 
     // Set up hash change listener for runtime navigation
     function setupHashChangeListener() {
-        window.addEventListener('hashchange', () => {
-            setTimeout(processUrlHash, 10);
-        });
+        // Traversing pushState entries doesn't fire hashchange reliably, so popstate is handled
+        // too; when both fire, the URL is applied once
+        let navigationScheduled = false;
+        const handleNavigation = () => {
+            if (navigationScheduled) return;
+            navigationScheduled = true;
+            setTimeout(() => {
+                navigationScheduled = false;
+                processUrlHash(true);
+            }, 10);
+        };
+        window.addEventListener('hashchange', handleNavigation);
+        window.addEventListener('popstate', handleNavigation);
     }
 
     // Export for manual initialization
@@ -789,7 +4016,15 @@
         Accordion,
         AccordionItem,
         initAccordions,
-        defaultOptions
+        render,
+        get,
+        toJSONLD,
+        observe,
+        disconnect,
+        expandForPrint,
+        restoreAfterPrint,
+        defaultOptions,
+        animators
     };
 
 })();